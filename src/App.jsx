@@ -3,23 +3,61 @@ import Papa from 'papaparse'
 
 /** =========================================================================
  *  Violet Crown Pickleball — Standings App (Guided Matchday + Reseed Bracket)
- *  - Events ledger (undo + history) and recomputation of standings
- *  - Guided Matchday for 4/5/6/7/8 with **post-pool reseeding**
- *  - Pool Standings audit table + tie-break notes (Wins → Diff → PF → H2H → Random)
+ *  - Events ledger (history) and recomputation of standings
+ *  - Append-only change log per season: multi-step undo/redo, trash for deleted events, audit trail
+ *  - Leagues + named seasons, each with its own ledger; archive + all-time totals
+ *  - Player registry (IDs, display names, aliases) with rename/merge across ledgers
+ *  - Guided Matchday for 4–16 with **post-pool reseeding** (9+ use a generated pool)
+ *  - In-progress matchday saved as a draft after every score (resume/discard on load)
+ *  - Pool letters drawn from a seeded RNG (seed kept on the event); drag to reorder before play
+ *  - Pool format fairness analyzer (partner/opponent matrices, sit-outs, suggestions)
+ *  - Multi-court mode: schedule grouped into rounds with courts + sit-outs
+ *  - Printable pool scoresheet + bracket sheet (letter/A4) for paper scoring at the courts
+ *  - Scores validated against each game's format (target, win-by, cap, ties)
+ *  - Pool Standings audit table + tie-break notes (Wins → Diff → PF → H2H mini-league → Random)
+ *  - Player profiles built from the ledger (events, games, partners, points over time)
+ *  - Season-wide partner / head-to-head matrices with drill-down to games
+ *  - Doubles skill rating (Elo, margin- and partner-aware) replayed from the ledger
+ *  - Standings replayed event by event: rank-movement arrows + progression chart
  *  - Shows every logged game (stage-labeled) while adding AND in history
+ *  - Bracket tree (live while playing, and for past events in History)
  *  - Manual placements still available
- *  - CSV import (4p/8p heuristic) and JSON backup of events ledger
- *  - Tiebreakers: Points → Wins → Points For → Avg Diff
+ *  - Publish: standalone HTML page or link (#standings=…) with a read-only standings snapshot
+ *  - CSV event import (4–8, stage/label aware) with a preview, and JSON backup of events ledger
+ *  - Versioned ledger backups: migration of older shapes, per-event validation, replace or merge import
+ *  - Spreadsheet exports: standings, all-games log, placements (CSV or one workbook)
+ *  - Tiebreakers: Points → configurable chain per season (default Wins → Points For → Avg Diff)
+ *  - Counting rules per season: best-N event results + minimum events for award eligibility
  * ========================================================================= */
 
 const STORAGE_KEY = 'vcc-season-standings-v1'       // derived cache for offline view
 const EVENTS_KEY  = 'vcc-events-ledger-v1'          // source of truth (backup this)
+const SEASONS_KEY = 'vcc-seasons-v1'                // leagues + seasons registry
+const DRAFT_KEY   = 'vcc-matchday-draft-v1'         // in-progress guided matchday
+const PLAYERS_KEY = 'vcc-players-v1'                // canonical player registry (all seasons)
+const ACTIONS_KEY = 'vcc-actions-v1'                // append-only log of ledger changes (per season)
+const DEVICE_KEY  = 'vcc-device-v1'                 // name this device signs its log entries with
 
-/** Points table (updated):
+/** The original single ledger lives on as the 'default' season, so existing
+ *  data keeps its storage keys; every other season gets suffixed keys. */
+const DEFAULT_SEASON_ID = 'default'
+const eventsKeyFor    = id => id===DEFAULT_SEASON_ID ? EVENTS_KEY  : `${EVENTS_KEY}:${id}`
+const standingsKeyFor = id => id===DEFAULT_SEASON_ID ? STORAGE_KEY : `${STORAGE_KEY}:${id}`
+
+/** Default points table (version 1 of every season's rules):
  *  - 5-player: last place (5th) gets 50
  *  - 7-player: last place (7th) gets 50
+ *  - 9–16 players: Slam awards + 100/60/25/10 per player beyond 8
  */
 const POINTS_TABLE = {
+  16: { label: 'Slam',      awards: { 1: 1800, 2: 1080, 3: 450, 4: 180 } },
+  15: { label: 'Slam',      awards: { 1: 1700, 2: 1020, 3: 425, 4: 170 } },
+  14: { label: 'Slam',      awards: { 1: 1600, 2: 960,  3: 400, 4: 160 } },
+  13: { label: 'Slam',      awards: { 1: 1500, 2: 900,  3: 375, 4: 150 } },
+  12: { label: 'Slam',      awards: { 1: 1400, 2: 840,  3: 350, 4: 140 } },
+  11: { label: 'Slam',      awards: { 1: 1300, 2: 780,  3: 325, 4: 130 } },
+  10: { label: 'Slam',      awards: { 1: 1200, 2: 720,  3: 300, 4: 120 } },
+  9:  { label: 'Slam',      awards: { 1: 1100, 2: 660,  3: 275, 4: 110 } },
   8: { label: 'Slam',       awards: { 1: 1000, 2: 600, 3: 250, 4: 100 } },
   7: { label: 'Signature',  awards: { 1: 700,  2: 400, 3: 100, 7: 50  } },
   6: { label: 'Signature',  awards: { 1: 600,  2: 300, 3: 100           } },
@@ -27,41 +65,404 @@ const POINTS_TABLE = {
   4: { label: 'Challenger', awards: { 1: 250,  2: 100                    } },
 }
 
+const TIER_LABELS = ['Slam', 'Signature', 'Challenger'] // labels that carry a title count
+
+/** Points rules are versioned per season: [{ version, createdAt, table }].
+ *  Each ledger event records the version it was played under (events that
+ *  predate versioning count as version 1). */
+const defaultRuleSets = () => [{ version:1, createdAt: null, table: POINTS_TABLE }]
+const seasonRuleSets = (seasonMeta) => seasonMeta?.rules?.length ? seasonMeta.rules : defaultRuleSets()
+const seasonCounting = (seasonMeta) => ({ ...DEFAULT_COUNTING, ...seasonMeta?.counting })
+const seasonFormats = (seasonMeta) => ({ ...DEFAULT_SEASON_FORMATS, ...seasonMeta?.formats })
+const seasonTiebreakers = (seasonMeta) => Array.isArray(seasonMeta?.tiebreakers) ? seasonMeta.tiebreakers : DEFAULT_SEASON_TIEBREAKERS
+const latestRules = (ruleSets) => {
+  const r = ruleSets[ruleSets.length-1]
+  return { ...r, table: pointsTableFor(ruleSets, r.version) }
+}
+function pointsTableFor(ruleSets, version){
+  const sets = ruleSets?.length ? ruleSets : defaultRuleSets()
+  // Tables saved before a size existed fall back to its default tier
+  return { ...POINTS_TABLE, ...(sets.find(r => r.version===(version ?? 1)) || sets[0]).table }
+}
+
 const emptyTotals = () => ({
   Points: 0, Wins: 0, Losses: 0, PF: 0, PA: 0,
-  SlamWins: 0, SignatureWins: 0, ChallengerWins: 0
+  SlamWins: 0, SignatureWins: 0, ChallengerWins: 0, Events: 0, Results: []
 })
 
+/** Counting rules: bestOf = only a player's N best event results count (null = all);
+ *  minEvents = events needed to be eligible for season awards */
+const DEFAULT_COUNTING = { bestOf: null, minEvents: 0 }
+
 const calcAvgDiff = p => {
   const gp = p.Wins + p.Losses
   return gp ? (p.PF - p.PA) / gp : 0
 }
 
-/** Tiebreakers: Points → Wins → Points For → Avg Diff → name */
-const rankPlayers = rows => {
-  return [...rows].sort((a,b)=>{
-    if (b.Points !== a.Points) return b.Points - a.Points
-    if (b.Wins   !== a.Wins)   return b.Wins   - a.Wins
-    if (b.PF     !== a.PF)     return b.PF     - a.PF
-    const ad = calcAvgDiff(b) - calcAvgDiff(a)
-    if (ad !== 0) return ad > 0 ? 1 : -1
-    return a.Player.localeCompare(b.Player)
-  }).map((r,i)=> ({ ...r, Rank: i+1, AvgDiff: +calcAvgDiff(r).toFixed(2) }))
+/** Season tiebreakers (after Points). `value` criteria compare each player on
+ *  their own totals; `block` criteria look at the tied players together
+ *  (head-to-head is a mini-league among exactly the players still tied). */
+const SEASON_TIEBREAKERS = {
+  wins:      { label:'Wins',            value: r=> r.Wins },
+  pf:        { label:'Points For',      value: r=> r.PF },
+  avgDiff:   { label:'Avg Diff',        value: r=> +calcAvgDiff(r).toFixed(2) },
+  pointDiff: { label:'Point Diff',      value: r=> r.PF - r.PA },
+  h2h:       { label:'Head-to-head',    block: (block, ctx)=> Object.fromEntries(block.map(r=> [
+    r.Player, block.reduce((w, o)=> w + (o.Player===r.Player ? 0 : (ctx.h2h?.[r.Player]?.[o.Player] || 0)), 0),
+  ])) },
+  titles:    { label:'Titles (Slam → Signature → Challenger)', value: r=> r.SlamWins*1e6 + r.SignatureWins*1e3 + r.ChallengerWins,
+               show: r=> `${r.SlamWins}/${r.SignatureWins}/${r.ChallengerWins}` },
+  events:    { label:'Events attended', value: r=> r.Events || 0 },
+}
+const DEFAULT_SEASON_TIEBREAKERS = ['wins', 'pf', 'avgDiff']
+
+/** Rank by Points, then split each tied block criterion by criterion; name is the last resort.
+ *  Returns { rows, notes } with a note for every tiebreak that actually separated players. */
+function rankPlayersExplained(rows, chain=DEFAULT_SEASON_TIEBREAKERS, ctx={}){
+  const notes = []
+  const resolve = (block, level) => {
+    if (block.length < 2) return block
+    const names = block.map(r=> r.Player).join(', ')
+    if (level >= chain.length){
+      const sorted = [...block].sort((a,b)=> a.Player.localeCompare(b.Player))
+      notes.push(`${names} still tied on ${block[0].Points} pts after all tiebreakers — ordered alphabetically`)
+      return sorted
+    }
+    const crit = SEASON_TIEBREAKERS[chain[level]]
+    if (!crit) return resolve(block, level+1)
+    const val = crit.block ? crit.block(block, ctx) : Object.fromEntries(block.map(r=> [r.Player, crit.value(r)]))
+    const levels = [...new Set(block.map(r=> val[r.Player]))].sort((a,b)=> b-a)
+    if (levels.length > 1){
+      const shown = [...block].sort((a,b)=> val[b.Player]-val[a.Player])
+        .map(r=> `${r.Player} ${crit.show ? crit.show(r) : val[r.Player]}`).join(', ')
+      notes.push(`Tied on ${block[0].Points} pts (${names}) — ${crit.label}: ${shown}`)
+    }
+    return levels.flatMap(v=> resolve(block.filter(r=> val[r.Player]===v), level+1))
+  }
+
+  const byPoints = [...new Set(rows.map(r=> r.Points))].sort((a,b)=> b-a)
+  const ranked = byPoints.flatMap(p=> resolve(rows.filter(r=> r.Points===p), 0))
+  return { rows: ranked.map((r,i)=> ({ ...r, Rank: i+1, AvgDiff: +calcAvgDiff(r).toFixed(2) })), notes }
 }
 
+/** Tiebreakers: Points → chain (default Wins → Points For → Avg Diff) → name */
+const rankPlayers = (rows, chain, ctx) => rankPlayersExplained(rows, chain, ctx).rows
+
 /** ------- Events ledger helpers ------- */
-const loadEvents = () => { try { return JSON.parse(localStorage.getItem(EVENTS_KEY)) || [] } catch { return [] } }
-const saveEvents = (arr) => localStorage.setItem(EVENTS_KEY, JSON.stringify(arr))
-const persistSeason = (season) => localStorage.setItem(STORAGE_KEY, JSON.stringify(season))
+const loadEvents = (seasonId=DEFAULT_SEASON_ID) => { try { return JSON.parse(localStorage.getItem(eventsKeyFor(seasonId))) || [] } catch { return [] } }
+const saveEvents = (arr, seasonId=DEFAULT_SEASON_ID) => localStorage.setItem(eventsKeyFor(seasonId), JSON.stringify(arr))
+const persistSeason = (season, seasonId=DEFAULT_SEASON_ID) => localStorage.setItem(standingsKeyFor(seasonId), JSON.stringify(season))
+
+/** ------- Guided matchday draft (one at a time, tagged with its season) ------- */
+const loadDraft = () => { try { return JSON.parse(localStorage.getItem(DRAFT_KEY)) || null } catch { return null } }
+const saveDraft = (draft) => localStorage.setItem(DRAFT_KEY, JSON.stringify({ ...draft, savedAt: Date.now() }))
+const clearDraft = () => localStorage.removeItem(DRAFT_KEY)
+/** Put back a draft exactly as it was (undo/redo of an import that brought one in) */
+const restoreDraft = (draft) => draft ? localStorage.setItem(DRAFT_KEY, JSON.stringify(draft)) : clearDraft()
+
+/** ------- Ledger backup schema -------
+ *  v0: a bare events array; v1: { events, draft }; v2: { schema: 2, events, draft } with events
+ *  normalised by migrateEvent. Imports migrate to the current version, then validate each event. */
+const LEDGER_SCHEMA_VERSION = 2
+
+/** Bring one event from an older shape up to date (string numbers, "A, B" placements, missing arrays) */
+function migrateEvent(ev){
+  if (!ev || typeof ev!=='object' || Array.isArray(ev)) return ev
+  const names = (v) => typeof v==='string' ? v.split(',').map(x=> x.trim()).filter(Boolean) : v
+  const num = (v) => typeof v==='string' && v.trim()!=='' && !isNaN(+v) ? +v : v
+  return {
+    ...ev,
+    id: num(ev.id),
+    size: num(ev.size),
+    placements: Object.fromEntries(Object.entries(ev.placements || {}).map(([k, v])=> [k, names(v)])),
+    gameStats: (ev.gameStats || []).map(g=> g && typeof g==='object'
+      ? { ...g, team1: names(g.team1), team2: names(g.team2), s1: num(g.s1), s2: num(g.s2) }
+      : g),
+  }
+}
+
+/** Unwrap any backup shape and migrate its events: { version, events, draft } or null when unrecognised */
+function migrateLedger(data){
+  if (Array.isArray(data)) return { version: 0, events: data.map(migrateEvent), draft: null }
+  if (!data || typeof data!=='object' || !Array.isArray(data.events)) return null
+  const version = Number.isInteger(data.schema) ? data.schema : 1
+  if (version > LEDGER_SCHEMA_VERSION) return null
+  return { version, events: data.events.map(migrateEvent), draft: data.draft || null }
+}
+
+/** Strict shape check for one (migrated) event; returns a list of problems, empty when valid */
+function validateEvent(ev){
+  if (!ev || typeof ev!=='object' || Array.isArray(ev)) return ['not an event object']
+  const errors = []
+  const isName = (n) => typeof n==='string' && n.trim()!==''
+  const isScore = (x) => Number.isFinite(x) && x>=0 && Number.isInteger(x)
+  if (!Number.isFinite(ev.id)) errors.push('missing or non-numeric id')
+  if (!POINTS_TABLE[ev.size]) errors.push(`size ${JSON.stringify(ev.size)} is not one of ${Object.keys(POINTS_TABLE).join(', ')}`)
+  Object.entries(ev.placements || {}).forEach(([place, arr])=>{
+    if (!(+place>=1 && +place<=(+ev.size || 16) && Number.isInteger(+place))) errors.push(`placement “${place}” is not a place for ${ev.size} players`)
+    if (!Array.isArray(arr) || !arr.every(isName)) errors.push(`placement ${place} must be a list of names`)
+  })
+  if (!Array.isArray(ev.gameStats)) errors.push('gameStats must be a list')
+  else ev.gameStats.forEach((g, i)=>{
+    const at = `game ${i+1}`
+    if (!g || typeof g!=='object') return errors.push(`${at} is not a game object`)
+    if (!Array.isArray(g.team1) || !g.team1.length || !g.team1.every(isName)) errors.push(`${at}: team1 must be a list of names`)
+    if (!Array.isArray(g.team2) || !g.team2.length || !g.team2.every(isName)) errors.push(`${at}: team2 must be a list of names`)
+    if (!isScore(g.s1) || !isScore(g.s2)) errors.push(`${at}: scores must be whole numbers (${JSON.stringify(g.s1)}–${JSON.stringify(g.s2)})`)
+  })
+  if (ev.rulesVersion!=null && !Number.isInteger(ev.rulesVersion)) errors.push('rulesVersion must be a whole number')
+
+  // Optional parts: absent is fine, but a malformed one would break renames, history and the bracket view
+  const isObject = (v) => !!v && typeof v==='object' && !Array.isArray(v)
+  if (ev.poolAudit!=null){
+    if (!isObject(ev.poolAudit)) errors.push('poolAudit must be an object')
+    else {
+      const { rows, notes } = ev.poolAudit
+      if (rows!=null && (!Array.isArray(rows) || !rows.every(r=> isObject(r) && isName(r.Player)))) errors.push('poolAudit.rows must be a list of { Player } rows')
+      if (notes!=null && (!Array.isArray(notes) || !notes.every(n=> typeof n==='string'))) errors.push('poolAudit.notes must be a list of text notes')
+    }
+  }
+  if (ev.seeding!=null){
+    if (!isObject(ev.seeding)) errors.push('seeding must be an object')
+    else if (ev.seeding.letters!=null && (!isObject(ev.seeding.letters) || !Object.values(ev.seeding.letters).every(isName))) {
+      errors.push('seeding.letters must map letters to player names')
+    }
+  }
+  if (ev.revisions!=null && (!Array.isArray(ev.revisions) || !ev.revisions.every(r=> isObject(r) && Number.isFinite(r.editedAt) && isObject(r.before)))) {
+    errors.push('revisions must be a list of { editedAt, before } entries')
+  }
+  return errors
+}
+
+/** Validate a whole migrated ledger: per-event problems, including ids used twice */
+function validateLedger(events){
+  const seen = new Map()
+  return events.map((ev, idx)=>{
+    const errors = validateEvent(ev)
+    if (Number.isFinite(ev?.id)){
+      if (seen.has(ev.id)) errors.push(`same id as event ${seen.get(ev.id)+1}`)
+      else seen.set(ev.id, idx)
+    }
+    return { idx, id: ev?.id, errors }
+  }).filter(r=> r.errors.length)
+}
+
+/** Merge imported events into a ledger: new ids are added, known ids keep the current version */
+function mergeLedgers(current, incoming){
+  const byId = new Map(current.map(ev=> [ev.id, ev]))
+  const added = [], conflicts = []
+  incoming.forEach(ev=>{
+    const mine = byId.get(ev.id)
+    if (!mine){ added.push(ev); byId.set(ev.id, ev); return }
+    const strip = ({ revisions, ...rest }) => JSON.stringify(rest)
+    if (strip(mine)!==strip(ev)) conflicts.push(ev.id)
+  })
+  return { events: [...current, ...added].sort((a,b)=> a.id - b.id), added: added.length, duplicates: incoming.length - added.length, conflicts }
+}
+
+/** Players whose rank or points differ between two ranked standings */
+function standingsDiff(before, after){
+  const b = Object.fromEntries(before.map(r=> [r.Player, r]))
+  const a = Object.fromEntries(after.map(r=> [r.Player, r]))
+  return [...new Set([...Object.keys(a), ...Object.keys(b)])]
+    .map(Player=> ({ Player, before: b[Player], after: a[Player] }))
+    .filter(d=> d.before?.Rank!==d.after?.Rank || d.before?.Points!==d.after?.Points)
+    .sort((x,y)=> (x.after?.Rank ?? Infinity) - (y.after?.Rank ?? Infinity))
+}
+
+/** ------- Action log: every change to a season's ledger, append-only -------
+ *  Ledger entries: { id, at, by, type, summary, changes:[{ id, before, after }], orderBefore, orderAfter }
+ *  where type is add | delete | edit | import | recompute | restore | rename; an import that brought
+ *  an unfinished matchday also keeps draftBefore/draftAfter. Undo/redo never rewrite history: they
+ *  append { type:'undo'|'redo', target } and replay the target's changes. Past MAX_ACTIONS the
+ *  oldest entries fold into one { type:'trim', count } marker. */
+const MAX_ACTIONS = 200
+const actionsKeyFor = (seasonId) => seasonId===DEFAULT_SEASON_ID ? ACTIONS_KEY : `${ACTIONS_KEY}:${seasonId}`
+const loadActions = (seasonId=DEFAULT_SEASON_ID) => { try { return JSON.parse(localStorage.getItem(actionsKeyFor(seasonId))) || [] } catch { return [] } }
+const saveActions = (arr, seasonId=DEFAULT_SEASON_ID) => localStorage.setItem(actionsKeyFor(seasonId), JSON.stringify(arr))
+
+/** Keep at most `max` entries: the oldest are dropped (with their trash) behind a 'trim' marker */
+function trimActions(actions, max=MAX_ACTIONS){
+  if (actions.length <= max) return actions
+  const cut = actions.length - (max - 1)
+  const count = actions.slice(0, cut).reduce((n, a)=> n + (a.type==='trim' ? a.count : 1), 0)
+  const last = actions[cut-1]
+  return [{ id: newId('act'), at: last.at, by: last.by, type:'trim', count, summary: `${count} older change${count===1 ? '' : 's'} dropped from the log` }, ...actions.slice(cut)]
+}
+const loadDeviceName = () => localStorage.getItem(DEVICE_KEY) || 'This device'
+const saveDeviceName = (name) => localStorage.setItem(DEVICE_KEY, name)
+
+/** Log entry for a ledger going from `before` to `after`; null when nothing changed */
+function ledgerAction(type, summary, before, after, by, draft){
+  const prev = new Map(before.map(ev=> [ev.id, ev])), next = new Map(after.map(ev=> [ev.id, ev]))
+  const changes = []
+  new Set([...prev.keys(), ...next.keys()]).forEach(id=>{
+    const b = prev.get(id) ?? null, a = next.get(id) ?? null
+    if (b===a || JSON.stringify(b)===JSON.stringify(a)) return
+    changes.push({ id, before: b, after: a })
+  })
+  const orderBefore = before.map(ev=> ev.id), orderAfter = after.map(ev=> ev.id)
+  if (!changes.length && orderBefore.join()===orderAfter.join() && !draft) return null
+  return { id: newId('act'), at: Date.now(), by, type, summary, changes, orderBefore, orderAfter,
+    ...(draft ? { draftBefore: draft.before, draftAfter: draft.after } : {}) }
+}
+
+/** Apply a logged action to a ledger, forwards ('redo') or backwards ('undo') */
+function replayAction(events, action, direction){
+  const map = new Map(events.map(ev=> [ev.id, ev]))
+  action.changes.forEach(c=>{
+    const v = direction==='undo' ? c.before : c.after
+    if (v) map.set(c.id, v); else map.delete(c.id)
+  })
+  const order = direction==='undo' ? action.orderBefore : action.orderAfter
+  const placed = order.filter(id=> map.has(id)).map(id=> map.get(id))
+  const rest = [...map.values()].filter(ev=> !order.includes(ev.id))
+  return [...placed, ...rest]
+}
+
+/** Walk the log: ids of actions that can be undone (last = next undo) and redone (last = next redo).
+ *  A 'rename' also rewrote other seasons and the player registry, so it can't be undone
+ *  and nothing before it can either (their stored copies carry the old names). */
+function actionStacks(actions){
+  const done = [], undone = []
+  actions.forEach(a=>{
+    if (a.type==='undo'){ const i = done.lastIndexOf(a.target); if (i>=0){ done.splice(i, 1); undone.push(a.target) } }
+    else if (a.type==='redo'){ const i = undone.lastIndexOf(a.target); if (i>=0){ undone.splice(i, 1); done.push(a.target) } }
+    else if (a.type==='rename' || a.type==='trim'){ done.length = 0; undone.length = 0 }
+    else { done.push(a.id); undone.length = 0 }
+  })
+  return { done, undone }
+}
+
+/** Events some action removed that are not in the ledger now, most recently removed first */
+function trashFromLog(actions, events){
+  const present = new Set(events.map(ev=> ev.id))
+  const removed = new Map()
+  actions.forEach(a=> (a.changes||[]).forEach(c=>{
+    if (c.before && !c.after) removed.set(c.id, { event: c.before, at: a.at, by: a.by, type: a.type })
+  }))
+  return [...removed.values()].filter(r=> !present.has(r.event.id)).sort((x,y)=> y.at - x.at)
+}
+
+/** ------- Leagues & seasons registry ------- */
+const defaultRegistry = () => ({
+  leagues: [{ id:'main', name:'Main League' }],
+  seasons: [{ id:DEFAULT_SEASON_ID, leagueId:'main', name:'Season 1', createdAt: Date.now(), closed:false }],
+  currentSeasonId: DEFAULT_SEASON_ID,
+})
+const loadRegistry = () => { try { return JSON.parse(localStorage.getItem(SEASONS_KEY)) || defaultRegistry() } catch { return defaultRegistry() } }
+const saveRegistry = (reg) => localStorage.setItem(SEASONS_KEY, JSON.stringify(reg))
+const newId = (prefix) => `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`
+
+/** ------- Player registry: [{ id, name, aliases }] ------- */
+const loadPlayers = () => { try { return JSON.parse(localStorage.getItem(PLAYERS_KEY)) || null } catch { return null } }
+const savePlayers = (arr) => localStorage.setItem(PLAYERS_KEY, JSON.stringify(arr))
+
+/** Case/whitespace-insensitive key used for every name comparison */
+const normName = (n) => String(n||'').trim().replace(/\s+/g, ' ').toLowerCase()
+
+function findPlayer(players, name){
+  const k = normName(name)
+  if (!k) return null
+  return players.find(p=> normName(p.name)===k || (p.aliases||[]).some(a=> normName(a)===k)) || null
+}
+const canonicalName = (players, name) => findPlayer(players, name)?.name || String(name||'').trim()
+
+/** Register any names the registry doesn't know yet; returns the same array when nothing is new */
+function registerNames(players, names){
+  const added = []
+  names.forEach(n=>{
+    const name = String(n||'').trim()
+    if (name && !findPlayer(players, name) && !findPlayer(added, name)) added.push({ id: newId('player'), name, aliases: [] })
+  })
+  return added.length ? [...players, ...added] : players
+}
+
+function levenshtein(a, b){
+  const row = Array.from({ length: b.length+1 }, (_, j)=> j)
+  for (let i=1; i<=a.length; i++){
+    let prev = row[0]; row[0] = i
+    for (let j=1; j<=b.length; j++){
+      const tmp = row[j]
+      row[j] = Math.min(row[j]+1, row[j-1]+1, prev + (a[i-1]===b[j-1] ? 0 : 1))
+      prev = tmp
+    }
+  }
+  return row[b.length]
+}
+
+/** Registered players whose name or alias is close to `name` (typos, prefixes) */
+function suggestPlayers(players, name, limit=3){
+  const k = normName(name)
+  if (!k) return []
+  return players
+    .map(p=> {
+      const dist = Math.min(...[p.name, ...(p.aliases||[])].map(n=> {
+        const m = normName(n)
+        return m.startsWith(k) || k.startsWith(m) ? 1 : levenshtein(k, m)
+      }))
+      return { player: p, dist }
+    })
+    .filter(x=> x.dist <= Math.max(1, Math.floor(k.length/4)))
+    .sort((x,y)=> x.dist - y.dist || x.player.name.localeCompare(y.player.name))
+    .slice(0, limit)
+    .map(x=> x.player)
+}
+
+/** Every player name a ledger event mentions */
+function namesInEvent(ev){
+  return [
+    ...Object.values(ev.placements||{}).flat(),
+    ...(ev.gameStats||[]).flatMap(g=> [...(g.team1||[]), ...(g.team2||[])]),
+  ].map(n=> String(n||'').trim()).filter(Boolean)
+}
 
-/** Apply a single event to season totals */
-function applyEventToSeason(season, ev) {
+/** Rewrite every name in a ledger event (placements, games, pool audit) through `rename` */
+function renameInEvent(ev, rename){
+  const list = (arr) => Array.isArray(arr) ? arr.map(rename) : arr
+  const next = {
+    ...ev,
+    placements: Object.fromEntries(Object.entries(ev.placements||{}).map(([k,v])=> [k, list(v)])),
+    gameStats: (ev.gameStats||[]).map(g=> ({
+      ...g, team1: list(g.team1), team2: list(g.team2),
+      ...(g.winner ? { winner: list(g.winner) } : {}),
+      ...(g.loser ? { loser: list(g.loser) } : {}),
+    })),
+  }
+  if (ev.seeding?.letters){
+    next.seeding = { ...ev.seeding, letters: Object.fromEntries(Object.entries(ev.seeding.letters).map(([k,v])=> [k, rename(v)])) }
+  }
+  if (ev.poolAudit){
+    const renamedNames = new Map((ev.poolAudit.rows||[]).map(r=> [r.Player, rename(r.Player)]).filter(([a,b])=> a!==b))
+    const escape = (x) => x.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    next.poolAudit = {
+      ...ev.poolAudit,
+      rows: (ev.poolAudit.rows||[]).map(r=> ({ ...r, Player: rename(r.Player) })),
+      notes: (ev.poolAudit.notes||[]).map(n=> [...renamedNames].reduce(
+        (text, [from, to])=> text.replace(new RegExp(`\\b${escape(from)}\\b`, 'g'), to), n)),
+    }
+  }
+  return next
+}
+
+/** Apply a single event to season totals, scored with the given points table */
+function applyEventToSeason(season, ev, table=POINTS_TABLE) {
   const { size, placements, gameStats = [] } = ev
-  const info = POINTS_TABLE[size]
+  const info = table[size]
   if (!info) return season
   const label = info.label
   const next = { ...season }
 
+  // Attendance: everyone placed or in a game counts once
+  new Set([
+    ...Object.values(placements).flat().map(p=> (p || '').trim()),
+    ...gameStats.flatMap(g=> [...(g.team1||[]), ...(g.team2||[])]),
+  ].filter(Boolean)).forEach(n=>{
+    next[n] = { ...(next[n] || emptyTotals()) }
+    next[n].Events = (next[n].Events || 0) + 1
+    next[n].Results = [...(next[n].Results || []), { id: ev.id, points: 0 }]
+  })
+
   // Placement points + title counts
   Object.entries(placements).forEach(([place, players])=>{
     const pts = info.awards[place]
@@ -71,6 +472,7 @@ function applyEventToSeason(season, ev) {
       if (!n) return
       next[n] = next[n] || emptyTotals()
       next[n].Points += pts
+      next[n].Results[next[n].Results.length-1].points += pts
       if (label==='Slam'       && place==='1') next[n].SlamWins++
       if (label==='Signature'  && place==='1') next[n].SignatureWins++
       if (label==='Challenger' && place==='1') next[n].ChallengerWins++
@@ -89,45 +491,142 @@ function applyEventToSeason(season, ev) {
   return next
 }
 
-/** Recompute full season from the ledger (authoritative) */
-function recomputeFromLedger(events){
+/** Mark which event results count under the season's counting rules.
+ *  Points becomes the counted total; TotalPoints keeps everything earned. */
+function applyCountingRules(season, counting=DEFAULT_COUNTING){
+  const { bestOf, minEvents } = counting
+  return Object.fromEntries(Object.entries(season).map(([name, t])=>{
+    const results = t.Results || []
+    // Best results first; on equal points the earlier event is the one kept
+    const kept = new Set(bestOf
+      ? [...results.keys()].sort((a,b)=> results[b].points - results[a].points || a - b).slice(0, bestOf)
+      : results.keys())
+    const marked = results.map((r,i)=> ({ ...r, counted: kept.has(i) }))
+    const TotalPoints = results.reduce((sum, r)=> sum + r.points, 0)
+    return [name, {
+      ...t,
+      Results: marked,
+      Points: marked.reduce((sum, r)=> sum + (r.counted ? r.points : 0), 0),
+      TotalPoints,
+      Eligible: (t.Events || 0) >= (minEvents || 0),
+    }]
+  }))
+}
+
+/** Recompute full season from the ledger (authoritative); each event uses the rules version it recorded */
+function recomputeFromLedger(events, ruleSets, counting){
   let season = {}
-  events.forEach(ev => { season = applyEventToSeason(season, ev) })
-  return season
+  events.forEach(ev => { season = applyEventToSeason(season, ev, pointsTableFor(ruleSets, ev.rulesVersion)) })
+  return applyCountingRules(season, counting)
 }
 
 /** ======================= Guided Matchday Engine ======================= */
 
-// Deterministic hash to pseudo-randomize unknown players consistently
-function hashStr(s){ let h=0; for(let i=0;i<s.length;i++){ h=(h<<5)-h + s.charCodeAt(i); h|=0 } return h }
-function shuffleDeterministic(arr){ return [...arr].sort((a,b)=> hashStr(a)-hashStr(b)) }
+/** Game formats. Schedule entries carry the same fields inline (see formatSpec):
+ *  format (the key below), to (target score), winBy, optional cap (first to cap
+ *  wins outright) and allowTie (timed games; a tie counts for neither team). */
+const GAME_FORMATS = {
+  pool:    { label:'Pool',    to:11, winBy:1 },
+  bracket: { label:'Bracket', to:15, winBy:2 },
+  capped:  { label:'Capped',  to:11, winBy:2, cap:15 },
+  timed:   { label:'Timed',   to:null, winBy:1, allowTie:true },
+}
+
+/** Formats a season may pick for each phase; bracket games need a winner, so no ties there */
+const POOL_FORMAT_CHOICES = ['pool', 'capped', 'timed']
+const BRACKET_FORMAT_CHOICES = ['bracket', 'pool', 'capped']
+const DEFAULT_SEASON_FORMATS = { pool:'pool', bracket:'bracket' }
+
+/** The fields a schedule entry carries for a GAME_FORMATS key (its label stays the game's label) */
+const formatSpec = (key) => {
+  const { label, ...spec } = GAME_FORMATS[key] || GAME_FORMATS.pool
+  return Object.fromEntries(Object.entries({ format: GAME_FORMATS[key] ? key : 'pool', ...spec }).filter(([, v])=> v!==undefined))
+}
+
+const describeFormat = (f) => {
+  if (!f?.to) return f?.allowTie ? 'timed, ties allowed' : 'any score'
+  return `to ${f.to}, win by ${f.winBy||1}${f.cap ? `, cap ${f.cap}` : ''}${f.allowTie ? ', ties allowed' : ''}`
+}
+
+/** Check a final score against a game format; returns an error message or null */
+function validateScore(s1, s2, format={}){
+  const a = Number(s1), b = Number(s2)
+  if (!Number.isInteger(a) || !Number.isInteger(b) || a<0 || b<0) return 'Scores must be whole numbers, 0 or more'
+  if (a===b) return format.allowTie ? null : `A game can't end tied ${a}–${b}`
+  const { to, winBy=1, cap } = format
+  if (!to) return null
+
+  const w = Math.max(a,b), l = Math.min(a,b)
+  if (cap && w > cap) return `Game is capped at ${cap}; ${w} is not possible`
+  if (cap && w === cap && l > cap - winBy) return null // sudden point at the cap
+  if (w < to) return `Game is to ${to}; the winner needs at least ${to}`
+  if (w === to) return w - l >= winBy ? null : `Game is win by ${winBy}; ${w}–${l} is not finished`
+  // Past the target the game only goes on while the margin is short of win-by
+  if (winBy < 2) return `Game ends at ${to}; ${w}–${l} is not possible`
+  return w - l === winBy ? null : `Past ${to} the game ends as soon as one side leads by ${winBy}; ${w}–${l} is not possible`
+}
+
+// Small seeded PRNG (mulberry32): same seed → same sequence of floats in [0,1)
+function mulberry32(seed){
+  let a = seed >>> 0
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0
+    let t = a
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+function shuffleWith(rng, arr){
+  const out = [...arr]
+  for (let i=out.length-1; i>0; i--){ const j = Math.floor(rng()*(i+1)); [out[i], out[j]] = [out[j], out[i]] }
+  return out
+}
+/** Fresh 32-bit seed for a draw; stored on the event so the draw can be replayed */
+const newSeed = () => Math.floor(Math.random() * 0x100000000) >>> 0
+/** RNG for a matchday's last-resort pool tie draw (its own stream, so it doesn't repeat the letter draw).
+ *  Always seeded: events without a stored draw seed use their id, so re-deriving never reshuffles. */
+const poolDrawRng = (seed) => mulberry32((+seed || 0) ^ 0x5bd1e995)
+/** The draw seed of a ledger event: the stored one, else derived from its id */
+const eventDrawSeed = (ev) => ev?.seeding?.seed ?? (+ev?.id || 0) % 0x100000000
 
-function assignLetters(roster, season, method='standings'){
+/** Pool letters A.. for a roster. 'random' draws the whole roster from `seed`;
+ *  the other methods rank known players and draw only the newcomers after them. */
+function assignLetters(roster, season, method='standings', ratings={}, seed=newSeed()){
   const known = []
   const unknown = []
-  const seasonMap = season || {}
+  const seasonMap = (method==='rating' ? ratings : season) || {}
+
+  // Sorted first so the draw depends only on who is playing and the seed, not on typing order
+  const rng = mulberry32(seed)
+  if (method==='random') return lettersFor(shuffleWith(rng, [...roster].sort((a,b)=> a.localeCompare(b))))
 
   roster.forEach(name => {
     if (seasonMap[name]) known.push(name); else unknown.push(name)
   })
 
-  // Sort known by tiebreakers
+  // Sort known by tiebreakers (or by skill rating, highest first)
   const rows = known.map(n => ({ Player:n, ...seasonMap[n] }))
-  const sortedKnown = rankPlayers(rows).map(r=>r.Player)
+  const sortedKnown = method==='rating'
+    ? rows.sort((a,b)=> b.rating - a.rating || a.Player.localeCompare(b.Player)).map(r=>r.Player)
+    : rankPlayers(rows).map(r=>r.Player)
 
-  const afterUnknown = method==='random' ? shuffleDeterministic(unknown) : shuffleDeterministic(unknown)
-  const ordered = [...sortedKnown, ...afterUnknown]
+  const afterUnknown = shuffleWith(rng, [...unknown].sort((a,b)=> a.localeCompare(b)))
+  return lettersFor([...sortedKnown, ...afterUnknown])
+}
 
+/** Names in seed order → { A: name, B: name, ... } */
+function lettersFor(ordered){
   const letters = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ'.split('')
   const map = {}
   ordered.forEach((name, idx)=> { map[letters[idx]] = name })
   return map // e.g., {A:"Nathaniel", B:"Alex", ...}
 }
 
-// Build ONLY the pool schedule by size (letters, not names yet)
-function buildPoolSchedule(size){
+// Build ONLY the pool schedule by size (letters, not names yet); every game carries the `format` spec
+function buildPoolSchedule(size, format='pool'){
   const t = s => [s[0], s[1]]
-  const P = (l1,l2,label) => ({ phase:'pool', to:11, winBy:1, pair1:l1, pair2:l2, label })
+  const P = (l1,l2,label) => ({ phase:'pool', ...formatSpec(format), pair1:l1, pair2:l2, label })
   const pool = []
 
   if (size===4){
@@ -167,14 +666,145 @@ function buildPoolSchedule(size){
     pool.push(P(t('AE'), t('CG'), 'Pool 5'))
     pool.push(P(t('BF'), t('DH'), 'Pool 6'))
   }
+  if (size>8){
+    const generated = generatePoolSchedule(size)
+    return (suggestFairerSchedule(generated, size) || generated).map(e=> ({ ...e, ...formatSpec(format) }))
+  }
+  return pool
+}
+
+/** Generated rotating-partner pool for any size 4–16.
+ *  Every player plays `gamesEach` games (4 keeps the match count equal to N);
+ *  each round fills floor(N/4) courts with whoever has played least (longest
+ *  rested first), so sit-outs rotate evenly. Teams within a round are picked
+ *  by seeded restarts that minimize repeat partners first, repeat opponents second. */
+function generatePoolSchedule(size, gamesEach=4, seed=size*7919){
+  const letters = 'ABCDEFGHIJKLMNOP'.slice(0, size).split('')
+  const courts = Math.floor(size/4)
+  let remaining = size*gamesEach/4
+  const played = Object.fromEntries(letters.map(l=> [l, 0]))
+  const lastRound = Object.fromEntries(letters.map(l=> [l, -1]))
+  const partner = {}, opponent = {}
+  const key = (x,y) => x<y ? x+y : y+x
+  const count = (m, x, y) => m[key(x,y)] || 0
+  const rng = mulberry32(seed)
+
+  const splitCost = (a,b,c,d) =>
+    10*(count(partner,a,b) + count(partner,c,d)) +
+    [[a,c],[a,d],[b,c],[b,d]].reduce((sum, [x,y])=> sum + count(opponent,x,y)**2, 0)
+
+  const pool = []
+  let round = 0
+  while (remaining > 0){
+    round++
+    const matches = Math.min(courts, remaining)
+    const playing = [...letters]
+      .sort((x,y)=> played[x]-played[y] || lastRound[x]-lastRound[y] || x.localeCompare(y))
+      .slice(0, matches*4)
+
+    let best = null
+    for (let attempt=0; attempt<300; attempt++){
+      const order = shuffleWith(rng, playing)
+      let cost = 0
+      const games = []
+      for (let q=0; q<order.length; q+=4){
+        const [a,b,c,d] = order.slice(q, q+4)
+        const splits = [[a,b,c,d], [a,c,b,d], [a,d,b,c]]
+        const pick = splits.reduce((m, sp)=> splitCost(...sp) < splitCost(...m) ? sp : m)
+        cost += splitCost(...pick)
+        games.push(pick)
+      }
+      if (!best || cost < best.cost) best = { cost, games }
+      if (cost===0) break
+    }
+
+    best.games.forEach(([a,b,c,d])=>{
+      partner[key(a,b)] = count(partner,a,b) + 1
+      partner[key(c,d)] = count(partner,c,d) + 1
+      ;[[a,c],[a,d],[b,c],[b,d]].forEach(([x,y])=> { opponent[key(x,y)] = count(opponent,x,y) + 1 })
+      ;[a,b,c,d].forEach(l=> { played[l]++; lastRound[l] = round })
+      pool.push({ phase:'pool', ...formatSpec('pool'), pair1:[a,b].sort(), pair2:[c,d].sort(), label:`Pool ${pool.length+1}`, round })
+    })
+    remaining -= matches
+  }
   return pool
 }
 
+/** Fairness profile of a letter pool schedule: partner/opponent count matrices,
+ *  games played and sit-outs per letter, plus human-readable imbalance flags.
+ *  `score` is 0 for a perfectly balanced pool and grows with each imbalance. */
+function analyzeSchedule(pool, size){
+  const letters = 'ABCDEFGHIJKLMNOP'.slice(0, size).split('')
+  const zero = () => Object.fromEntries(letters.map(l=> [l, Object.fromEntries(letters.map(m=> [m, 0]))]))
+  const partner = zero(), opponent = zero()
+  const played = Object.fromEntries(letters.map(l=> [l, 0]))
+
+  pool.forEach(({ pair1, pair2 })=>{
+    ;[[pair1, pair2], [pair2, pair1]].forEach(([us, them])=>{
+      us.forEach(x=>{
+        played[x]++
+        us.forEach(y=> { if (x!==y) partner[x][y]++ })
+        them.forEach(y=> { opponent[x][y]++ })
+      })
+    })
+  })
+  const sitOuts = Object.fromEntries(letters.map(l=> [l, pool.length - played[l]]))
+
+  const pairs = letters.flatMap((x,i)=> letters.slice(i+1).map(y=> [x,y]))
+  const flags = []
+  let score = 0
+
+  const gp = Object.values(played)
+  if (Math.max(...gp) !== Math.min(...gp)){
+    const most = letters.filter(l=> played[l]===Math.max(...gp)), least = letters.filter(l=> played[l]===Math.min(...gp))
+    flags.push(`Uneven games played: ${most.join(', ')} play ${Math.max(...gp)}, ${least.join(', ')} play ${Math.min(...gp)}`)
+    score += 20 * (Math.max(...gp) - Math.min(...gp))
+  }
+  pairs.forEach(([x,y])=>{
+    if (partner[x][y] > 1){
+      flags.push(`${x}${y} partnered ${partner[x][y]}×`)
+      score += 10 * (partner[x][y] - 1)
+    }
+  })
+  const opp = pairs.map(([x,y])=> opponent[x][y])
+  if (Math.max(...opp) - Math.min(...opp) > 1){
+    const hi = pairs.filter(([x,y])=> opponent[x][y]===Math.max(...opp)).map(p=> p.join(''))
+    flags.push(`Opponent counts range ${Math.min(...opp)}–${Math.max(...opp)} (most: ${hi.join(', ')})`)
+  }
+  score += opp.reduce((sum, n)=> sum + Math.max(0, n-1)**2, 0)
+
+  return { letters, partner, opponent, played, sitOuts, flags, score }
+}
+
+/** Local search for a fairer letter assignment with the same games: swaps two
+ *  letter slots (which keeps every letter's game count) and keeps the swap
+ *  whenever the fairness score does not get worse. Null if nothing better is found. */
+function suggestFairerSchedule(pool, size, iterations=3000){
+  const rng = mulberry32(size * 104729)
+  const slots = pool.map(g=> [...g.pair1, ...g.pair2])
+  const toPool = (sl) => pool.map((g, i)=> ({ ...g, pair1: [sl[i][0], sl[i][1]].sort(), pair2: [sl[i][2], sl[i][3]].sort() }))
+  const baseline = analyzeSchedule(pool, size).score
+  let current = slots, score = baseline
+
+  for (let it=0; it<iterations && score>0; it++){
+    const gi = Math.floor(rng()*slots.length), gj = Math.floor(rng()*slots.length)
+    const pi = Math.floor(rng()*4), pj = Math.floor(rng()*4)
+    const x = current[gi][pi], y = current[gj][pj]
+    if (pool[gi].round !== pool[gj].round) continue // generated pools keep each round's players
+    if (gi===gj ? pi===pj : (current[gj].includes(x) || current[gi].includes(y))) continue
+    const next = current.map(g=> [...g])
+    next[gi][pi] = y; next[gj][pj] = x
+    const nextScore = analyzeSchedule(toPool(next), size).score
+    if (nextScore <= score){ current = next; score = nextScore }
+  }
+  return score < baseline ? toPool(current) : null
+}
+
 // After pool completes, reseed by pool performance and build the bracket schedule using NEW letters
-function buildBracketSchedule(size){
+function buildBracketSchedule(size, format='bracket'){
   const t = s => [s[0], s[1]]
-  const B = (l1,l2,label) => ({ phase:'bracket', to:15, winBy:2, pair1:l1, pair2:l2, label })
-  const BD = (from1, from2, label) => ({ phase:'bracket-derivative', to:15, winBy:2, from1, from2, label })
+  const B = (l1,l2,label) => ({ phase:'bracket', ...formatSpec(format), pair1:l1, pair2:l2, label })
+  const BD = (from1, from2, label) => ({ phase:'bracket-derivative', ...formatSpec(format), from1, from2, label })
   const bracket = []
 
   if (size===4){
@@ -192,7 +822,8 @@ function buildBracketSchedule(size){
     bracket.push(B(t('CD'), t('EF'), 'SF'))
     bracket.push(BD({ type:'fixedLetters', letters:t('AB') }, { type:'winnerOf', label:'SF' }, 'Final'))
   }
-  if (size===8){
+  // 9+ players: the top eight pool seeds play the Slam bracket
+  if (size>=8){
     bracket.push(B(t('AB'), t('GH'), 'SF1'))
     bracket.push(B(t('CD'), t('EF'), 'SF2'))
     // Bronze = Loser(SF1) vs Loser(SF2); Final = Winner(SF1) vs Winner(SF2)
@@ -202,8 +833,10 @@ function buildBracketSchedule(size){
   return bracket
 }
 
-// Compute pool stats table from pool games only
-function computePoolStats(poolGames){
+/** Pool standings from pool games only: Wins → Diff → PF, then a head-to-head mini-league per tied block.
+ *  `rng` (required, seeded — see poolDrawRng) is only used for a last-resort draw, so any draw can be replayed. */
+function computePoolStats(poolGames, rng){
+  if (typeof rng!=='function') throw new Error('computePoolStats needs a seeded rng for its last-resort draw')
   const table = {} // name -> {W,L,PF,PA}
   const ensure = (n)=> table[n] || (table[n] = {W:0,L:0,PF:0,PA:0})
   const playersSet = new Set()
@@ -216,16 +849,19 @@ function computePoolStats(poolGames){
     else if (b>a) { team2.forEach(n=> table[n].W++); team1.forEach(n=> table[n].L++) }
   })
 
-  // Build head-to-head wins matrix (i beats j) for pool
-  const h2h = {}
+  // Head-to-head among opponents: h2h[i][j] = games i won against j, h2hDiff[i][j] = i's points minus j's
+  const h2h = {}, h2hDiff = {}
   const entries = Object.keys(table)
-  entries.forEach(i=>{ h2h[i]={} })
+  entries.forEach(i=>{ h2h[i]={}; h2hDiff[i]={} })
   poolGames.forEach(g=>{
-    const aWin = +g.s1 > +g.s2
+    const a = +g.s1, b = +g.s2
     g.team1.forEach(i=>{
       g.team2.forEach(j=>{
-        h2h[i][j] = (h2h[i][j]||0) + (aWin?1:0)
-        h2h[j][i] = (h2h[j][i]||0) + (aWin?0:1)
+        h2hDiff[i][j] = (h2hDiff[i][j]||0) + (a - b)
+        h2hDiff[j][i] = (h2hDiff[j][i]||0) + (b - a)
+        if (a === b) return // a tie is a win for neither side
+        h2h[i][j] = (h2h[i][j]||0) + (a>b?1:0)
+        h2h[j][i] = (h2h[j][i]||0) + (a>b?0:1)
       })
     })
   })
@@ -241,37 +877,34 @@ function computePoolStats(poolGames){
 
   const notes = []
 
-  // Apply head-to-head when exactly two players remain tied after PF
+  // Mini-league inside a tied block: H2H wins among just these players, then H2H point diff.
+  // Whenever a step separates anyone, each sub-block that is still tied starts over from H2H wins.
+  const miniLeague = (block) => {
+    if (block.length < 2) return block
+    const names = block.map(r=> r.Player)
+    const steps = [
+      ['head-to-head wins', h2h],
+      ['head-to-head point diff', h2hDiff],
+    ]
+    for (const [label, m] of steps){
+      const score = Object.fromEntries(names.map(p=> [p, names.reduce((sum, q)=> sum + (q===p ? 0 : (m[p]?.[q]||0)), 0)]))
+      const levels = [...new Set(names.map(p=> score[p]))].sort((x,y)=> y-x)
+      if (levels.length < 2) continue
+      const shown = [...names].sort((x,y)=> score[y]-score[x]).map(p=> `${p} ${score[p]>0 && label.includes('diff') ? '+' : ''}${score[p]}`).join(', ')
+      notes.push(`Tied ${names.join(', ')} — ${label} among them: ${shown}`)
+      return levels.flatMap(v=> miniLeague(block.filter(r=> score[r.Player]===v)))
+    }
+    // True last resort: nothing among the tied players separates them
+    const drawn = shuffleWith(rng, block)
+    notes.push(`Random draw among ${names.join(', ')} (level on head-to-head): ${drawn.map(r=> r.Player).join(', ')}`)
+    return drawn
+  }
+
   for (let i=0; i<rows.length-1; i++){
     let j=i
     // find tie block where W,Diff,PF are equal
     while (j+1<rows.length && rows[j+1].W===rows[i].W && rows[j+1].Diff===rows[i].Diff && rows[j+1].PF===rows[i].PF){ j++ }
-    const blockSize = j-i+1
-    if (blockSize===2){
-      const A = rows[i], B = rows[i+1]
-      const aWins = (h2h[A.Player]?.[B.Player])||0
-      const bWins = (h2h[B.Player]?.[A.Player])||0
-      if (aWins !== bWins){
-        // reorder to put head-to-head winner first
-        if (bWins > aWins){ [rows[i], rows[i+1]] = [rows[i+1], rows[i]] }
-        notes.push(`Head-to-head tiebreak used between ${A.Player} and ${B.Player}`)
-      } else {
-        // deterministic random draw
-        const pair = [A.Player, B.Player]
-        const ordered = shuffleDeterministic(pair)
-        if (ordered[0] !== A.Player){ [rows[i], rows[i+1]] = [rows[i+1], rows[i]] }
-        notes.push(`Random draw used between ${pair.join(' & ')}`)
-      }
-    }
-    if (blockSize>2){
-      // deterministic shuffle of the block; mention random draw
-      const block = rows.slice(i, j+1)
-      const names = block.map(r=>r.Player)
-      const shuffled = shuffleDeterministic(names)
-      const map = new Map(shuffled.map((n,idx)=>[n, idx]))
-      rows.splice(i, blockSize, ...block.sort((x,y)=> (map.get(x.Player)-map.get(y.Player))))
-      notes.push(`Random draw used among ${names.join(', ')}`)
-    }
+    if (j>i) rows.splice(i, j-i+1, ...miniLeague(rows.slice(i, j+1)))
     i=j
   }
 
@@ -315,11 +948,16 @@ function computePlacements(size, allResults, lettersBracket){
     if (lettersBracket && lettersBracket['G']) placements[7] = [lettersBracket['G']]
     return prunePlacements(placements)
   }
-  if (size===8){
+  if (size>=8){
     const bronze = byLabel('Bronze')
     const final = byLabel('Final')
     if (final){ placements[1]=final.winner; placements[2]=final.loser }
     if (bronze){ placements[3]=bronze.winner; placements[4]=bronze.loser }
+    // Seeds beyond the bracket (I, J, …) finish in pool order: 9th, 10th, …
+    for (let i=8; i<size; i++){
+      const name = lettersBracket?.['ABCDEFGHIJKLMNOP'[i]]
+      if (name) placements[i+1] = [name]
+    }
     return prunePlacements(placements)
   }
   return prunePlacements(placements)
@@ -331,6 +969,189 @@ function prunePlacements(p){
   return out
 }
 
+/** Attach winner/loser to a logged game (ties leave both empty) */
+function withOutcome(g){
+  const a = +g.s1, b = +g.s2
+  if (a===b) return { ...g, winner:[], loser:[] }
+  return { ...g, winner: a>b ? g.team1 : g.team2, loser: a>b ? g.team2 : g.team1 }
+}
+
+/** Rebuild the post-pool reseed letters from a recorded pool audit */
+function lettersFromAudit(poolAudit){
+  if (!poolAudit?.rows?.length) return null
+  const alpha = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ'
+  const letters = {}
+  poolAudit.rows.forEach((row, i)=> { letters[alpha[i]] = row.Player })
+  return letters
+}
+
+/** Re-derive placements from a ledger event's games; null when there is no labeled Final to derive from */
+function derivePlacementsFromGames(size, gameStats, poolAudit){
+  const bracketGames = (gameStats||[]).filter(g=> g.stage==='bracket' || g.stage==='bracket-derivative')
+  if (!bracketGames.some(g=> g.label==='Final')) return null
+  const results = {}
+  bracketGames.forEach((g, i)=> { results[i] = withOutcome(g) })
+  return computePlacements(size, results, lettersFromAudit(poolAudit))
+}
+
+/** Places a finished bracket always decides for a size: the Final's two teams, the SF loser
+ *  from 6 players and both Bronze teams from 8 */
+const requiredPlaces = (size) => size>=8 ? [1,2,3,4] : size>=6 ? [1,2,3] : [1,2]
+const placementsComplete = (size, placements) => !!placements && requiredPlaces(size).every(p=> placements[p]?.length)
+
+/** The format a logged game was played under: its own key, else the season's format for its stage */
+const loggedGameFormat = (g, formats=DEFAULT_SEASON_FORMATS) =>
+  formatSpec(g.format || (g.stage==='bracket' || g.stage==='bracket-derivative' ? formats.bracket : formats.pool))
+
+/** Column names accepted in an event CSV header row (case-insensitive) */
+const CSV_COLUMNS = {
+  stage: ['stage', 'phase'],
+  label: ['label', 'round', 'game'],
+  p1: ['p1', 'team1_a', 't1p1', 'player1'],
+  p2: ['p2', 'team1_b', 't1p2', 'player2'],
+  p3: ['p3', 'team2_a', 't2p1', 'player3'],
+  p4: ['p4', 'team2_b', 't2p2', 'player4'],
+  team1: ['team1', 'team 1'],
+  team2: ['team2', 'team 2'],
+  s1: ['s1', 'score1', 'team1_score'],
+  s2: ['s2', 'score2', 'team2_score'],
+  size: ['size', 'players'],
+}
+
+/** Parse the rows of an event CSV (from Papa.parse) into a ledger event plus row-level problems.
+ *  Accepts a header row (see CSV_COLUMNS) or the legacy positional layout
+ *  p1,p2,p3,p4,s1,s2[,stage,label] with an optional leading "EVENT,,,<size>" row.
+ *  Games without stage/label are assumed to follow the schedule order for the size.
+ *  Placements come from computePlacements, seeded by the pool standings; `seed` drives any
+ *  last-resort pool tie draw so the preview and the stored event agree. */
+function parseEventCSV(data, { size: forcedSize, players=[], allowNewPlayers=false, seed, formats=DEFAULT_SEASON_FORMATS }={}){
+  const errors = []   // { row, message } — any error blocks the import
+  const rows = data.map((cells, i)=> ({ line: i+1, cells: (cells||[]).map(c=> String(c ?? '').trim()) }))
+    .filter(r=> r.cells.some(Boolean))
+
+  let size = null
+  if (rows[0] && rows[0].cells[0].toUpperCase()==='EVENT'){
+    const first = rows.shift()
+    size = parseInt(first.cells[3], 10) || parseInt(first.cells.slice(1).find(c=> /^\d+$/.test(c)), 10) || null
+  }
+
+  // Header row → named columns; otherwise positional
+  let col = { p1:0, p2:1, p3:2, p4:3, s1:4, s2:5, stage:6, label:7 }
+  const lower = rows[0]?.cells.map(c=> c.toLowerCase()) || []
+  if (lower.includes('s1') || lower.includes('score1') || lower.includes('team1_score')){
+    col = {}
+    Object.entries(CSV_COLUMNS).forEach(([key, aliases])=>{
+      const idx = lower.findIndex(c=> aliases.includes(c))
+      if (idx >= 0) col[key] = idx
+    })
+    rows.shift()
+    if (col.s1==null || col.s2==null) errors.push({ row: 1, message: 'Header needs s1 and s2 score columns' })
+    if (col.team1==null && col.p1==null) errors.push({ row: 1, message: 'Header needs team1/team2 or p1–p4 player columns' })
+  }
+  const cell = (r, key) => col[key]==null ? '' : (r.cells[col[key]] || '')
+  const splitTeam = (str) => str.split(/\s*(?:&|\/|\+|\band\b)\s*/i).map(x=> x.trim()).filter(Boolean)
+
+  if (col.size!=null && rows[0]) size = size || parseInt(cell(rows[0], 'size'), 10) || null
+
+  const games = rows.map(r=>{
+    const team1 = col.team1!=null ? splitTeam(cell(r, 'team1')) : [cell(r, 'p1'), cell(r, 'p2')].filter(Boolean)
+    const team2 = col.team2!=null ? splitTeam(cell(r, 'team2')) : [cell(r, 'p3'), cell(r, 'p4')].filter(Boolean)
+    const label = cell(r, 'label')
+    const stage = cell(r, 'stage').toLowerCase()
+    return { line: r.line, team1, team2, s1raw: cell(r, 's1'), s2raw: cell(r, 's2'), stage, label }
+  })
+
+  const names = [...new Set(games.flatMap(g=> [...g.team1, ...g.team2]))]
+  size = forcedSize || size || names.length
+  if (!(size>=4 && size<=8)) errors.push({ row: null, message: `Event size ${size || '?'} is not supported (4–8 players)` })
+
+  // Without stage/label, the last games are the bracket in schedule order
+  const bracketPlan = size>=4 && size<=8 ? buildBracketSchedule(size, formats.bracket) : []
+  const poolPlan = size>=4 && size<=8 ? buildPoolSchedule(size, formats.pool) : []
+  const labeled = games.some(g=> g.stage || g.label)
+  if (!labeled){
+    games.forEach((g, i)=>{
+      const b = i - (games.length - bracketPlan.length)
+      if (b >= 0){ g.stage = bracketPlan[b].phase; g.label = bracketPlan[b].label }
+      else { g.stage = 'pool'; g.label = `Pool ${i+1}` }
+    })
+  }
+  const bracketLabels = new Set(bracketPlan.map(e=> e.label))
+  games.forEach(g=>{
+    if (!g.stage) g.stage = bracketLabels.has(g.label) ? 'bracket' : 'pool'
+    if (g.stage==='bracket' && bracketPlan.find(e=> e.label===g.label)?.phase==='bracket-derivative') g.stage = 'bracket-derivative'
+  })
+
+  // Row-level checks
+  games.forEach(g=>{
+    const err = (message) => errors.push({ row: g.line, message })
+    if (g.team1.length!==2 || g.team2.length!==2) err('Each team needs exactly two players')
+    const inGame = [...g.team1, ...g.team2]
+    if (new Set(inGame).size !== inGame.length) err('A player appears twice in the same game')
+    if (!/^\d+$/.test(g.s1raw) || !/^\d+$/.test(g.s2raw)) err(`Scores must be whole numbers (got “${g.s1raw}”–“${g.s2raw}”)`)
+    else {
+      const format = formatSpec(g.stage==='pool' ? formats.pool : formats.bracket)
+      const problem = validateScore(+g.s1raw, +g.s2raw, format)
+      if (problem) err(problem)
+    }
+    if (!['pool', 'bracket', 'bracket-derivative'].includes(g.stage)) err(`Unknown stage “${g.stage}”`)
+    if (g.stage!=='pool' && !bracketLabels.has(g.label)) err(`“${g.label || '(blank)'}” is not a bracket game for ${size} players (${[...bracketLabels].join(', ')})`)
+    if (!allowNewPlayers) inGame.filter(n=> !findPlayer(players, n)).forEach(n=> err(`Unknown player “${n}”`))
+  })
+
+  // Event-level checks against the format for this size
+  if (names.length!==size) errors.push({ row: null, message: `${names.length} different players found; a ${size}-player event needs ${size}` })
+  const pool = games.filter(g=> g.stage==='pool'), bracket = games.filter(g=> g.stage!=='pool')
+  if (poolPlan.length && pool.length!==poolPlan.length) errors.push({ row: null, message: `Expected ${poolPlan.length} pool games for ${size} players, found ${pool.length}` })
+  if (bracketPlan.length && bracket.length!==bracketPlan.length) errors.push({ row: null, message: `Expected ${bracketPlan.length} bracket games for ${size} players, found ${bracket.length}` })
+  bracketPlan.forEach(e=>{
+    const n = bracket.filter(g=> g.label===e.label).length
+    if (n>1) errors.push({ row: null, message: `Bracket game “${e.label}” appears ${n} times` })
+  })
+
+  const gameStats = games.map(g=> withOutcome({
+    team1: g.team1.map(n=> canonicalName(players, n)),
+    team2: g.team2.map(n=> canonicalName(players, n)),
+    s1: +g.s1raw || 0, s2: +g.s2raw || 0, stage: g.stage, label: g.label,
+    format: g.stage==='pool' ? formats.pool : formats.bracket,
+  }))
+  const poolGames = gameStats.filter(g=> g.stage==='pool')
+  const poolAudit = poolGames.length ? computePoolStats(poolGames, poolDrawRng(seed)) : null
+  const results = {}
+  gameStats.filter(g=> g.stage!=='pool').forEach((g, i)=> { results[i] = g })
+  const placements = computePlacements(size, results, lettersFromAudit(poolAudit))
+  if (!Object.keys(placements).length) errors.push({ row: null, message: 'No placements could be derived (is there a Final?)' })
+
+  return { size, games: gameStats.map((g, i)=> ({ ...g, line: games[i].line })), placements, poolAudit, names, errors, seed }
+}
+
+/** Human-readable list of what differs between two versions of a ledger event */
+function describeEventChanges(before, after){
+  const changes = []
+  const team = t => (t||[]).join(' & ')
+  if (before.size !== after.size) changes.push(`Size ${before.size} → ${after.size}`)
+  if ((before.rulesVersion ?? 1) !== (after.rulesVersion ?? 1)) changes.push(`Rules v${before.rulesVersion ?? 1} → v${after.rulesVersion ?? 1}`)
+
+  const places = new Set([...Object.keys(before.placements||{}), ...Object.keys(after.placements||{})])
+  ;[...places].sort((a,b)=> a-b).forEach(place=>{
+    const was = (before.placements?.[place]||[]).join(', ')
+    const now = (after.placements?.[place]||[]).join(', ')
+    if (was !== now) changes.push(`Place ${place}: ${was || '(none)'} → ${now || '(none)'}`)
+  })
+
+  const bg = before.gameStats||[], ag = after.gameStats||[]
+  for (let i=0; i<Math.max(bg.length, ag.length); i++){
+    const b = bg[i], a = ag[i]
+    const name = `Game ${i+1}${(a||b)?.label ? ` (${(a||b).label})` : ''}`
+    if (!b){ changes.push(`${name} added`); continue }
+    if (!a){ changes.push(`${name} removed`); continue }
+    if (team(b.team1) !== team(a.team1)) changes.push(`${name} team 1: ${team(b.team1)} → ${team(a.team1)}`)
+    if (team(b.team2) !== team(a.team2)) changes.push(`${name} team 2: ${team(b.team2)} → ${team(a.team2)}`)
+    if (+b.s1 !== +a.s1 || +b.s2 !== +a.s2) changes.push(`${name} score: ${b.s1}–${b.s2} → ${a.s1}–${a.s2}`)
+  }
+  return changes
+}
+
 /** Resolve teams for any match entry, using appropriate letters map */
 function resolveTeamsForEntry(entry, lettersPool, lettersBracket, results){
   const Lpool = lettersPool, Lbr = lettersBracket
@@ -357,125 +1178,1362 @@ function resolveTeamsForEntry(entry, lettersPool, lettersBracket, results){
   return null
 }
 
-/** ============================ App Root ============================ */
-export default function App(){
-  /** Source of truth */
-  const [events, setEvents] = useState(loadEvents())
-  /** Derived standings */
-  const [season, setSeason] = useState({})
-  /** Views */
-  const [view, setView] = useState('standings')
+/** Group a combined schedule into rounds of up to `courts` simultaneous matches.
+ *  Rounds are packed first-fit in schedule order: a match joins the earliest
+ *  round that has a free court, shares no letter with it and comes after any
+ *  result it depends on (winnerOf/loserOf). Pool and bracket never share a
+ *  round. Returns [{ round, court }] per schedule index. */
+function assignCourts(schedule, courts=1){
+  const slots = new Array(schedule.length)
+  const lettersOf = (entry) => [
+    ...(entry.pair1||[]), ...(entry.pair2||[]),
+    ...[entry.from1, entry.from2].flatMap(f=> f?.type==='fixedLetters' ? f.letters : []),
+  ]
+  const dependsOn = (entry) => [entry.from1, entry.from2].filter(f=> f && f.type!=='fixedLetters').map(f=> f.label)
 
-  useEffect(()=>{
-    const recomputed = recomputeFromLedger(events)
-    setSeason(recomputed)
-    persistSeason(recomputed)
-    saveEvents(events)
-  }, [events])
+  let round = 0
+  ;['pool', 'bracket'].forEach(phase=>{
+    let pending = schedule.map((entry, i)=> i).filter(i=> (schedule[i].phase==='pool') === (phase==='pool'))
+    const roundOfLabel = {}
+    while (pending.length){
+      round++
+      const busy = new Set()
+      let court = 0
+      pending = pending.filter(i=>{
+        const entry = schedule[i]
+        const ready = dependsOn(entry).every(l=> roundOfLabel[l] && roundOfLabel[l] < round)
+        if (court >= courts || !ready || lettersOf(entry).some(l=> busy.has(l))) return true
+        lettersOf(entry).forEach(l=> busy.add(l))
+        slots[i] = { round, court: ++court }
+        roundOfLabel[entry.label] = round
+        return false
+      })
+    }
+  })
+  return slots
+}
 
-  const rows = useMemo(()=>{
-    const list = Object.keys(season).map(name => ({ Player: name, ...season[name] }))
-    const ranked = rankPlayers(list)
-    return ranked.map(r => ({
-      ...r,
-      Games: r.Wins + r.Losses,
-      PointDiff: r.PF - r.PA,
-    }))
-  }, [season])
+/** Schedule indexes of played bracket games whose recorded teams no longer
+ *  match what the current bracket letters / earlier results resolve to */
+function staleBracketResults(schedule, results, lettersPool, lettersBracket){
+  const same = (x, y) => (x||[]).join('|') === (y||[]).join('|')
+  const stale = []
+  schedule.forEach((entry, idx)=>{
+    const rec = results[idx]
+    if (!rec || entry.phase==='pool') return
+    const resolved = resolveTeamsForEntry(entry, lettersPool, lettersBracket, results)
+    if (!resolved || !same(resolved.team1, rec.team1) || !same(resolved.team2, rec.team2)) stale.push(idx)
+  })
+  return stale
+}
 
-  const addPlacementEvent = ({ size, placements, gameStats, poolAudit }) => {
-    setEvents(prev => [...prev, { id: Date.now(), size, placements, gameStats, poolAudit }])
-    alert('Event added to standings')
-  }
+/** ======================= Player Analytics ======================= */
 
-  const undoLast = () => {
-    if (!events.length) return alert('Nothing to undo')
-    if (confirm('Undo the last event?')) setEvents(evts => evts.slice(0, -1))
-  }
+const ordinal = (n) => { const s = ['th','st','nd','rd'], v = n % 100; return n + (s[(v-20)%10] || s[v] || s[0]) }
 
-  return (
-    <div className="container">
-      <header>
-        <h1>Violet Crown Pickleball — Standings</h1>
-        <div className="tabs">
-          <button className="btn" onClick={()=>setView('standings')}>Standings</button>
-          <button className="btn" onClick={()=>setView('add')}>Add Event</button>
-          <button className="btn" onClick={()=>setView('history')}>History</button>
-          <button className="btn" onClick={()=>setView('data')}>Data</button>
-        </div>
-      </header>
+/** One player's season, replayed from the (canonical) ledger */
+function buildPlayerProfile(name, events, ruleSets){
+  const eventsPlayed = []
+  const games = []
+  const records = { pool:{ W:0, L:0 }, bracket:{ W:0, L:0 }, other:{ W:0, L:0 } }
+  const partners = {}, opponents = {}
+  const timeline = []
+  let cumulative = 0
 
-      {(view==='standings' || view==='add') && (
-        <div style={{margin:'12px 0'}}>
-          <button className="btn" onClick={undoLast}>Undo Last Event</button>
-        </div>
-      )}
+  events.forEach((ev, eventIdx)=>{
+    const table = pointsTableFor(ruleSets, ev.rulesVersion)
+    const place = Object.entries(ev.placements||{}).find(([, arr])=> (arr||[]).includes(name))?.[0]
+    const points = place ? (table[ev.size]?.awards?.[place] || 0) : 0
 
-      {view==='standings' && (
-        <section className="card">
-          <div style={{overflowX:'auto'}}>
-            <table>
-              <thead>
-                <tr>
-                  <th>Rank</th><th>Player</th><th>Points</th><th>Games</th><th>Wins</th><th>Losses</th>
-                  <th>Points For</th><th>Points Against</th><th>Point Diff</th>
-                  <th>Slam Wins</th><th>Signature Wins</th><th>Challenger Wins</th><th>Avg Diff</th>
-                </tr>
-              </thead>
-              <tbody>
-                {rows.map(r=> (
-                  <tr key={r.Player}>
-                    <td><strong>{r.Rank}</strong></td>
-                    <td>{r.Player}</td>
-                    <td>{r.Points}</td>
-                    <td>{r.Games}</td>
-                    <td>{r.Wins}</td>
-                    <td>{r.Losses}</td>
-                    <td>{r.PF}</td>
-                    <td>{r.PA}</td>
-                    <td>{r.PointDiff}</td>
-                    <td>{r.SlamWins}</td>
-                    <td>{r.SignatureWins}</td>
-                    <td>{r.ChallengerWins}</td>
-                    <td>{r.AvgDiff}</td>
-                  </tr>
-                ))}
-              </tbody>
-            </table>
-          </div>
-        </section>
-      )}
+    const evGames = []
+    ;(ev.gameStats||[]).forEach((g, gameIdx)=>{
+      const onTeam1 = (g.team1||[]).includes(name)
+      if (!onTeam1 && !(g.team2||[]).includes(name)) return
+      const us = onTeam1 ? g.team1 : g.team2, them = onTeam1 ? g.team2 : g.team1
+      const pf = +(onTeam1 ? g.s1 : g.s2), pa = +(onTeam1 ? g.s2 : g.s1)
+      const result = pf>pa ? 'W' : pf<pa ? 'L' : 'T'
+      const partner = us.find(n=> n!==name) || ''
+      const stage = g.stage==='pool' ? 'pool' : (g.stage==='bracket' || g.stage==='bracket-derivative') ? 'bracket' : 'other'
+      const game = { eventIdx, gameIdx, stage: g.stage||'', label: g.label||'', partner, opponents: them, pf, pa, result }
+      evGames.push(game)
+      games.push(game)
 
-      {view==='add' && <AddEventForm season={season} onAdd={addPlacementEvent} />}
+      if (result!=='T') records[stage][result]++
+      const tally = (map, key) => {
+        if (!key) return
+        map[key] = map[key] || { games:0, W:0, L:0, PF:0, PA:0 }
+        map[key].games++; map[key].PF += pf; map[key].PA += pa
+        if (result!=='T') map[key][result]++
+      }
+      tally(partners, partner)
+      them.forEach(o=> tally(opponents, o))
+    })
 
-      {view==='history' && (
-        <HistoryView events={events} onDelete={(id)=>{
-          if (confirm('Delete this event from history?')) setEvents(prev => prev.filter(e => e.id !== id))
-        }} />
-      )}
+    cumulative += points
+    timeline.push({ eventIdx, date: ev.id, points: cumulative })
+    if (place || evGames.length){
+      eventsPlayed.push({ eventIdx, id: ev.id, size: ev.size, label: table[ev.size]?.label || '', place: place ? +place : null, points, games: evGames })
+    }
+  })
 
-      {view==='data' && <DataPanel setEvents={setEvents} />}
-    </div>
-  )
+  const withPct = (map) => Object.entries(map).map(([Player, r])=> ({ Player, ...r, Pct: r.W + r.L ? r.W/(r.W + r.L) : 0, Diff: r.PF - r.PA }))
+  const bestPartners = withPct(partners).sort((a,b)=> b.Pct - a.Pct || b.games - a.games || b.Diff - a.Diff)
+  const toughestOpponents = withPct(opponents).sort((a,b)=> a.Pct - b.Pct || b.games - a.games || a.Diff - b.Diff)
+
+  return { name, events: eventsPlayed, games, records, bestPartners, toughestOpponents, timeline }
 }
 
-/** ---------------- Views & Panels ---------------- */
+/** Ranked standings after each event of the season (snapshot i covers events 0..i) */
+function standingsHistory(events, ruleSets, chain, counting){
+  const snapshots = []
+  let totals = {}
+  events.forEach((ev, eventIdx)=>{
+    totals = applyEventToSeason(totals, ev, pointsTableFor(ruleSets, ev.rulesVersion))
+    const ctx = chain?.includes('h2h') ? tiebreakContext(events.slice(0, eventIdx+1)) : {}
+    const counted = applyCountingRules(totals, counting)
+    snapshots.push({ eventIdx, id: ev.id, rows: rankPlayers(Object.entries(counted).map(([Player, t])=> ({ Player, ...t })), chain, ctx) })
+  })
+  return snapshots
+}
 
-function AddEventForm({ season, onAdd }){
-  const [size, setSize] = useState(4)
-  const [roster, setRoster] = useState('')
-  const [guided, setGuided] = useState(true)
-  const [method, setMethod] = useState('standings') // 'standings' | 'random'
+/** Rank movement since the previous snapshot: { [name]: +n up / -n down / 0 / 'new' } */
+function rankMovement(history){
+  if (!history.length) return {}
+  const last = history[history.length-1].rows
+  const prev = history.length>1 ? Object.fromEntries(history[history.length-2].rows.map(r=> [r.Player, r.Rank])) : {}
+  return Object.fromEntries(last.map(r=> [r.Player, r.Player in prev ? prev[r.Player] - r.Rank : 'new']))
+}
+
+const RATING_START = 1500
+const RATING_K = 32
+
+/** Individual doubles rating (Elo), replaying every game in ledger order.
+ *  - Team strength is the average of both partners; expected score is standard Elo.
+ *  - Margin of victory scales the swing: ln(|diff|+1), damped when the favourite wins big.
+ *  - Partner strength splits the team's swing: on a win the weaker partner gains
+ *    more, on a loss the stronger partner drops more (shares sum to the team total).
+ *  Returns { [name]: { rating, games, change } } where change is the swing over the
+ *  latest event (null for players who sat it out). */
+function computeRatings(events){
+  const r = {}
+  const get = (n) => r[n] = r[n] || { rating: RATING_START, games: 0, change: null }
+  const strength = (x) => Math.pow(10, x/400)
+
+  events.forEach((ev, eventIdx)=>{
+    const before = {}
+    ;(ev.gameStats||[]).forEach(g=>{
+      const t1 = (g.team1||[]).filter(Boolean), t2 = (g.team2||[]).filter(Boolean)
+      const a = +g.s1, b = +g.s2
+      if (!t1.length || !t2.length || a===b) return
+      ;[...t1, ...t2].forEach(n=> { if (!(n in before)) before[n] = get(n).rating })
+
+      const avg = (t) => t.reduce((sum, n)=> sum + r[n].rating, 0) / t.length
+      const R1 = avg(t1), R2 = avg(t2)
+      const E1 = 1 / (1 + Math.pow(10, (R2-R1)/400))
+      const S1 = a>b ? 1 : 0
+      const winnerGap = S1 ? R1-R2 : R2-R1
+      const mov = Math.log(Math.abs(a-b) + 1) * (2.2 / (winnerGap*0.001 + 2.2))
+      const swing1 = RATING_K * mov * (S1 - E1)
+
+      ;[[t1, swing1], [t2, -swing1]].forEach(([team, swing])=>{
+        const total = team.reduce((sum, n)=> sum + strength(r[n].rating), 0)
+        team.forEach(n=>{
+          const mine = strength(r[n].rating)
+          const share = team.length===1 ? 1 : (swing > 0 ? (total - mine) : mine) / total * team.length
+          r[n].delta = (r[n].delta || 0) + swing * share
+        })
+      })
+      // Apply after both teams are scored so the game uses pre-game ratings throughout
+      ;[...t1, ...t2].forEach(n=> { r[n].rating += r[n].delta; r[n].delta = 0; r[n].games++ })
+    })
+    if (eventIdx === events.length-1){
+      Object.keys(r).forEach(n=> { r[n].change = n in before ? r[n].rating - before[n] : null })
+    }
+  })
+
+  return Object.fromEntries(Object.entries(r).map(([n, x])=> [n, {
+    rating: Math.round(x.rating), games: x.games, change: x.change==null ? null : Math.round(x.change),
+  }]))
+}
+
+/** Season-wide pair matrices from every event's games:
+ *  partner[a][b] = games a and b played together, opponent[a][b] = a's record against b.
+ *  Each cell keeps { games, W, L, refs } where refs point back at [eventIdx, gameIdx]. */
+function buildSeasonMatrices(events){
+  const partner = {}, opponent = {}
+  const cell = (m, a, b) => {
+    m[a] = m[a] || {}
+    return m[a][b] = m[a][b] || { games:0, W:0, L:0, refs:[] }
+  }
+  const players = new Set()
+
+  events.forEach((ev, eventIdx)=>{
+    ;(ev.gameStats||[]).forEach((g, gameIdx)=>{
+      const a = +g.s1, b = +g.s2
+      ;[[g.team1||[], g.team2||[], a, b], [g.team2||[], g.team1||[], b, a]].forEach(([us, them, pf, pa])=>{
+        const result = pf>pa ? 'W' : pf<pa ? 'L' : null
+        us.forEach(x=>{
+          players.add(x)
+          const tally = (c) => { c.games++; if (result) c[result]++; c.refs.push([eventIdx, gameIdx]) }
+          us.forEach(y=> { if (y!==x) tally(cell(partner, x, y)) })
+          them.forEach(y=> tally(cell(opponent, x, y)))
+        })
+      })
+    })
+  })
+  return { players: [...players].sort((x,y)=> x.localeCompare(y)), partner, opponent }
+}
+
+/** Data the season tiebreakers need beyond each player's totals: h2h[x][y] = games x won against y */
+function tiebreakContext(events){
+  const { opponent } = buildSeasonMatrices(events)
+  return { h2h: Object.fromEntries(Object.entries(opponent).map(([x, row])=> [x, Object.fromEntries(Object.entries(row).map(([y, c])=> [y, c.W]))])) }
+}
+
+/** ======================= Spreadsheet Exports ======================= */
+
+/** Save text as a file through a temporary link */
+function downloadFile(filename, text, type){
+  const blob = new Blob([text], { type })
+  const url = URL.createObjectURL(blob)
+  const a = document.createElement('a')
+  a.href = url
+  a.download = filename
+  a.click()
+  setTimeout(()=> URL.revokeObjectURL(url), 0)
+}
+
+/** Spreadsheet tables with fixed columns; each is { name, fields, data } */
+function standingsSheet(rows, ratings={}){
+  const fields = ['Rank', 'Player', 'Points', 'Total Points', 'Eligible', 'Events', 'Games', 'Wins', 'Losses',
+    'Points For', 'Points Against', 'Point Diff', 'Avg Diff', 'Slam Wins', 'Signature Wins', 'Challenger Wins', 'Rating']
+  return { name: 'Standings', fields, data: rows.map(r=> [
+    r.Rank, r.Player, r.Points, r.TotalPoints ?? r.Points, r.Eligible===false ? 'no' : 'yes', r.Events || 0, r.Wins + r.Losses, r.Wins, r.Losses,
+    r.PF, r.PA, r.PF - r.PA, r.AvgDiff, r.SlamWins, r.SignatureWins, r.ChallengerWins, ratings[r.Player]?.rating ?? '',
+  ]) }
+}
+
+function gamesSheet(events){
+  const fields = ['Event', 'Date', 'Size', 'Game', 'Stage', 'Label', 'Team 1', 'Team 2', 'Score 1', 'Score 2', 'Winner']
+  return { name: 'Games', fields, data: events.flatMap((ev, i)=> (ev.gameStats||[]).map((g, j)=> [
+    i+1, new Date(ev.id).toISOString().slice(0, 10), ev.size, j+1, g.stage || '', g.label || '',
+    (g.team1||[]).join(' & '), (g.team2||[]).join(' & '), +g.s1, +g.s2,
+    +g.s1 > +g.s2 ? 'Team 1' : +g.s2 > +g.s1 ? 'Team 2' : 'Tie',
+  ])) }
+}
+
+function placementsSheet(events, ruleSets){
+  const fields = ['Event', 'Date', 'Size', 'Tier', 'Place', 'Player', 'Points']
+  return { name: 'Placements', fields, data: events.flatMap((ev, i)=> {
+    const info = pointsTableFor(ruleSets, ev.rulesVersion)[ev.size]
+    return Object.entries(ev.placements||{}).sort(([a],[b])=> a-b).flatMap(([place, names])=> (names||[]).map(n=> [
+      i+1, new Date(ev.id).toISOString().slice(0, 10), ev.size, info?.label || '', +place, n, info?.awards[place] || 0,
+    ]))
+  }) }
+}
+
+const sheetCSV = (sheet) => Papa.unparse({ fields: sheet.fields, data: sheet.data })
+
+/** Several sheets in one Excel-readable file (SpreadsheetML 2003 XML; no extra library needed) */
+function workbookXML(sheets){
+  const esc = (v) => String(v).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;')
+  const cell = (v) => typeof v==='number'
+    ? `<Cell><Data ss:Type="Number">${v}</Data></Cell>`
+    : `<Cell><Data ss:Type="String">${esc(v ?? '')}</Data></Cell>`
+  const row = (cells) => `<Row>${cells.map(cell).join('')}</Row>`
+  return [
+    '<?xml version="1.0"?>',
+    '<Workbook xmlns="urn:schemas-microsoft-com:office:spreadsheet" xmlns:ss="urn:schemas-microsoft-com:office:spreadsheet">',
+    ...sheets.map(sh=> `<Worksheet ss:Name="${esc(sh.name)}"><Table>${row(sh.fields)}${sh.data.map(row).join('')}</Table></Worksheet>`),
+    '</Workbook>',
+  ].join('\n')
+}
+
+/** ======================= Published Snapshot ======================= */
+
+const PUBLISH_HASH = '#standings='
+
+/** Everything a read-only standings page needs, and nothing else */
+function buildSnapshot(seasonName, rows, events, ruleSets){
+  const last = events[events.length-1]
+  const info = last && pointsTableFor(ruleSets, last.rulesVersion)[last.size]
+  return {
+    season: seasonName || 'Season',
+    updatedAt: Date.now(),
+    standings: rows.map(r=> [r.Rank, r.Player, r.Points, r.Wins, r.Losses, r.PF - r.PA]),
+    latest: last ? {
+      date: last.id,
+      size: last.size,
+      tier: info?.label || '',
+      placements: Object.entries(last.placements||{}).sort(([a],[b])=> a-b).map(([place, names])=> [+place, names]),
+      games: (last.gameStats||[]).map(g=> [g.label || g.stage || '', g.team1, g.team2, +g.s1, +g.s2]),
+    } : null,
+  }
+}
+
+// URL-safe base64 of the UTF-8 JSON, so names with accents survive the trip
+function encodeSnapshot(snap){
+  const bytes = new TextEncoder().encode(JSON.stringify(snap))
+  let bin = ''
+  bytes.forEach(b=> { bin += String.fromCharCode(b) })
+  return btoa(bin).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+}
+function decodeSnapshot(str){
+  try {
+    const bin = atob(str.replace(/-/g, '+').replace(/_/g, '/'))
+    const snap = JSON.parse(new TextDecoder().decode(Uint8Array.from(bin, c=> c.charCodeAt(0))))
+    return Array.isArray(snap?.standings) ? snap : null
+  } catch { return null }
+}
+const readPublishedHash = () => typeof location!=='undefined' && location.hash.startsWith(PUBLISH_HASH)
+  ? decodeSnapshot(location.hash.slice(PUBLISH_HASH.length)) : null
+
+/** A standalone HTML page (inline styles, no scripts) with the same content as the published view */
+function snapshotHTML(snap){
+  const esc = (v) => String(v).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;')
+  const team = (t) => esc((t||[]).join(' & '))
+  const signed = (n) => n>0 ? `+${n}` : `${n}`
+  const { latest } = snap
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="UTF-8" />
+<meta name="viewport" content="width=device-width, initial-scale=1.0" />
+<title>${esc(snap.season)} — Standings</title>
+<style>
+body { margin:0; background:#f6f7f9; color:#111; font-family: system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial, sans-serif; }
+main { max-width:800px; margin:0 auto; padding:24px; }
+h1 { margin:0 0 4px; font-size:24px; } h2 { font-size:18px; }
+.muted { color:#6b7280; }
+.card { background:#fff; border:1px solid #e5e7eb; border-radius:12px; padding:16px; margin-top:16px; overflow-x:auto; }
+table { width:100%; border-collapse:collapse; }
+th, td { text-align:left; padding:8px 10px; border-bottom:1px solid #e5e7eb; font-size:14px; }
+</style>
+</head>
+<body>
+<main>
+<h1>Violet Crown Pickleball — ${esc(snap.season)}</h1>
+<div class="muted">Last updated ${esc(new Date(snap.updatedAt).toLocaleString())}</div>
+<div class="card">
+<table>
+<thead><tr><th>Rank</th><th>Player</th><th>Points</th><th>W–L</th><th>Point Diff</th></tr></thead>
+<tbody>
+${snap.standings.map(([rank, name, pts, w, l, diff])=> `<tr><td><strong>${rank}</strong></td><td>${esc(name)}</td><td>${pts}</td><td>${w}–${l}</td><td>${signed(diff)}</td></tr>`).join('\n')}
+</tbody>
+</table>
+</div>
+${latest ? `<div class="card">
+<h2 style="margin-top:0">Latest event — ${esc(new Date(latest.date).toLocaleDateString())} · ${latest.size} players${latest.tier ? ` (${esc(latest.tier)})` : ''}</h2>
+<ul>
+${latest.placements.map(([place, names])=> `<li><strong>${ordinal(place)}:</strong> ${team(names)}</li>`).join('\n')}
+</ul>
+${latest.games.length ? `<table>
+<thead><tr><th>Game</th><th>Team 1</th><th>Score</th><th>Team 2</th></tr></thead>
+<tbody>
+${latest.games.map(([label, t1, t2, s1, s2])=> `<tr><td>${esc(label)}</td><td>${team(t1)}</td><td>${s1}–${s2}</td><td>${team(t2)}</td></tr>`).join('\n')}
+</tbody>
+</table>` : ''}
+</div>` : ''}
+</main>
+</body>
+</html>
+`
+}
+
+/** Opened from a published link (#standings=…): show the snapshot read-only, without loading the app or its storage */
+export default function Root(){
+  const [snapshot] = useState(readPublishedHash)
+  return snapshot ? <PublishedStandings snapshot={snapshot} /> : <App />
+}
+
+/** ============================ App Root ============================ */
+function App(){
+  /** Leagues + seasons; the current season picks which ledger is live */
+  const [registry, setRegistry] = useState(loadRegistry())
+  const seasonId = registry.currentSeasonId
+  const currentSeason = registry.seasons.find(s => s.id===seasonId)
+  const ruleSets = useMemo(()=> seasonRuleSets(currentSeason), [currentSeason])
+  const tiebreakers = seasonTiebreakers(currentSeason)
+  const formats = useMemo(()=> seasonFormats(currentSeason), [currentSeason])
+  const counting = useMemo(()=> seasonCounting(currentSeason), [currentSeason])
+  const activeRules = latestRules(ruleSets)
+  /** Source of truth */
+  const [events, setEvents] = useState(()=> loadEvents(seasonId))
+  /** Canonical players; first run seeds it from every season's ledger */
+  const [players, setPlayers] = useState(()=> loadPlayers()
+    || registerNames([], registry.seasons.flatMap(s=> loadEvents(s.id)).flatMap(namesInEvent)))
+  /** Append-only log of ledger changes for this season (undo/redo, trash, audit trail) */
+  const [actions, setActions] = useState(()=> loadActions(seasonId))
+  const [deviceName, setDeviceName] = useState(loadDeviceName)
+  /** Derived standings */
+  const [season, setSeason] = useState({})
+  /** Views */
+  const [view, setView] = useState('standings')
+  const [profileName, setProfileName] = useState(null)
+  /** Unfinished matchday found on load, awaiting resume/discard */
+  const [draftPrompt, setDraftPrompt] = useState(()=> loadDraft())
+  /** Bumped on Resume so an open Add Event form remounts and reads the draft */
+  const [resumeToken, setResumeToken] = useState(0)
+  /** Set when a save hit the browser's storage quota */
+  const [storageError, setStorageError] = useState('')
+
+  /** Run a localStorage write; a full quota shows a warning instead of breaking the app */
+  const persist = (what, write) => {
+    try { write(); return true }
+    catch (err){
+      console.error(err)
+      setStorageError(`Couldn't save ${what}: this browser's storage is full. Export a ledger backup from Data before making more changes.`)
+      return false
+    }
+  }
+
+  useEffect(()=>{ persist('the seasons list', ()=> saveRegistry(registry)) }, [registry])
+  useEffect(()=>{ persist('the player list', ()=> savePlayers(players)) }, [players])
+  useEffect(()=>{
+    if (persist('the change log', ()=> saveActions(actions, seasonId))) return
+    // Out of room: give up the older half of the log rather than the newest changes
+    if (actions.length > 20) setActions(log => trimActions(log, Math.ceil(log.length/2)))
+  }, [actions, seasonId])
+  useEffect(()=>{ persist('the device name', ()=> saveDeviceName(deviceName)) }, [deviceName])
+
+  // Names that reach the ledger (guided, manual, imports) join the registry
+  useEffect(()=>{ setPlayers(ps => registerNames(ps, events.flatMap(namesInEvent))) }, [events])
+
+  // Spelling variants of a registered player ("alex", "Alex ") count as that player
+  const canonicalEvents = useMemo(()=> events.map(ev=> renameInEvent(ev, n=> canonicalName(players, n))), [events, players])
+
+  useEffect(()=>{
+    const recomputed = recomputeFromLedger(canonicalEvents, ruleSets, counting)
+    setSeason(recomputed)
+    persist('the standings', ()=> persistSeason(recomputed, seasonId))
+    persist('the events ledger', ()=> saveEvents(events, seasonId))
+  }, [canonicalEvents, seasonId, ruleSets, counting])
+
+  /** A closed season's standings are final: refuse (and say why) anything that would change them */
+  const seasonLocked = () => {
+    if (!currentSeason?.closed) return false
+    alert(`${currentSeason.name} is closed — reopen it from the Archive to make changes.`)
+    return true
+  }
+
+  /** Closed seasons whose ledger mentions any of these names */
+  const closedSeasonsWith = (names) => {
+    const keys = new Set(names.map(normName))
+    return registry.seasons.filter(s=> s.closed &&
+      (s.id===seasonId ? events : loadEvents(s.id)).some(ev=> namesInEvent(ev).some(n=> keys.has(normName(n)))))
+  }
+
+  /** Every change to the ledger goes through here so it lands in the action log.
+   *  `draft` ({ before, after }) records an unfinished matchday the change replaced. */
+  const changeEvents = (type, summary, update, draft) => {
+    const next = typeof update==='function' ? update(events) : update
+    const action = ledgerAction(type, summary, events, next, deviceName, draft)
+    if (!action || seasonLocked()) return
+    setEvents(next)
+    setActions(log => trimActions([...log, action]))
+  }
+
+  const { done, undone } = useMemo(()=> actionStacks(actions), [actions])
+  const findAction = (id) => actions.find(a=> a.id===id)
+
+  const undo = () => {
+    const target = findAction(done[done.length-1])
+    if (!target || seasonLocked()) return
+    setEvents(replayAction(events, target, 'undo'))
+    if ('draftBefore' in target){ restoreDraft(target.draftBefore); setDraftPrompt(target.draftBefore) }
+    setActions(log => trimActions([...log, { id: newId('act'), at: Date.now(), by: deviceName, type:'undo', target: target.id, summary: `Undo: ${target.summary}` }]))
+  }
+  const redo = () => {
+    const target = findAction(undone[undone.length-1])
+    if (!target || seasonLocked()) return
+    setEvents(replayAction(events, target, 'redo'))
+    if ('draftAfter' in target){ restoreDraft(target.draftAfter); setDraftPrompt(target.draftAfter) }
+    setActions(log => trimActions([...log, { id: newId('act'), at: Date.now(), by: deviceName, type:'redo', target: target.id, summary: `Redo: ${target.summary}` }]))
+  }
+
+  /** Put a deleted event back, in date order */
+  const restoreEvent = (ev) => {
+    changeEvents('restore', `Restored event from ${new Date(ev.id).toLocaleDateString()}`, prev=> [...prev, ev].sort((a,b)=> a.id - b.id))
+  }
+
+  /** An unfinished matchday that belongs to some other season than `id` (offered to resume there) */
+  const draftOutside = (id) => { const d = loadDraft(); return d && d.seasonId!==id ? d : null }
+
+  const switchSeason = (id) => {
+    if (id===seasonId) return
+    setRegistry(r => ({ ...r, currentSeasonId: id }))
+    setEvents(loadEvents(id))
+    setActions(loadActions(id))
+    setDraftPrompt(draftOutside(id))
+  }
+
+  const createSeason = (leagueId) => {
+    const count = registry.seasons.filter(s => s.leagueId===leagueId).length
+    const name = prompt('Name for the new season', `Season ${count+1}`)
+    if (!name) return
+    const id = newId('season')
+    setRegistry(r => ({
+      ...r,
+      // A new season starts from the current season's latest points table
+      seasons: [...r.seasons, { id, leagueId, name: name.trim(), createdAt: Date.now(), closed:false,
+        rules: [{ version:1, createdAt: Date.now(), table: activeRules.table }] }],
+      currentSeasonId: id,
+    }))
+    setEvents([])
+    setActions([])
+    setDraftPrompt(draftOutside(id))
+  }
+
+  const createLeague = () => {
+    const name = prompt('Name for the new league (e.g. Tuesday Group)')
+    if (!name) return
+    const leagueId = newId('league')
+    const id = newId('season')
+    setRegistry(r => ({
+      ...r,
+      leagues: [...r.leagues, { id: leagueId, name: name.trim() }],
+      seasons: [...r.seasons, { id, leagueId, name:'Season 1', createdAt: Date.now(), closed:false }],
+      currentSeasonId: id,
+    }))
+    setEvents([])
+    setActions([])
+    setDraftPrompt(draftOutside(id))
+  }
+
+  const setSeasonClosed = (id, closed) => {
+    setRegistry(r => ({ ...r, seasons: r.seasons.map(s => s.id===id ? { ...s, closed, closedAt: closed ? Date.now() : undefined } : s) }))
+  }
+
+  const { rows, tiebreakNotes } = useMemo(()=>{
+    const list = Object.keys(season).map(name => ({ Player: name, ...season[name] }))
+    const { rows: ranked, notes } = rankPlayersExplained(list, tiebreakers, tiebreakContext(canonicalEvents))
+    return {
+      rows: ranked.map(r => ({
+        ...r,
+        Games: r.Wins + r.Losses,
+        PointDiff: r.PF - r.PA,
+      })),
+      tiebreakNotes: notes,
+    }
+  }, [season, tiebreakers, canonicalEvents])
+
+  const setFormats = (next) => {
+    setRegistry(r => ({ ...r, seasons: r.seasons.map(s => s.id===seasonId ? { ...s, formats: next } : s) }))
+  }
+
+  const setTiebreakers = (chain) => {
+    if (seasonLocked()) return
+    setRegistry(r => ({ ...r, seasons: r.seasons.map(s => s.id===seasonId ? { ...s, tiebreakers: chain } : s) }))
+  }
+
+  const setCounting = (rules) => {
+    if (seasonLocked()) return
+    setRegistry(r => ({ ...r, seasons: r.seasons.map(s => s.id===seasonId ? { ...s, counting: rules } : s) }))
+  }
+
+  /** Standings a ledger would produce under this season's rules (used to preview imports) */
+  const rankLedger = (evs) => {
+    const canon = evs.map(ev=> renameInEvent(ev, n=> canonicalName(players, n)))
+    return rankPlayers(Object.entries(recomputeFromLedger(canon, ruleSets, counting)).map(([Player, t])=> ({ Player, ...t })), tiebreakers, tiebreakContext(canon))
+  }
+
+  const ratings = useMemo(()=> computeRatings(canonicalEvents), [canonicalEvents])
+  const history = useMemo(()=> standingsHistory(canonicalEvents, ruleSets, tiebreakers, counting), [canonicalEvents, ruleSets, tiebreakers, counting])
+  const movement = useMemo(()=> rankMovement(history), [history])
+
+  const openProfile = (name) => { setProfileName(name); setView('profile') }
+
+  const addPlacementEvent = ({ size, placements, gameStats, poolAudit, seeding }) => {
+    if (seasonLocked()) return
+    const ev = renameInEvent({ id: Date.now(), size, placements, gameStats, poolAudit, ...(seeding ? { seeding } : {}), rulesVersion: activeRules.version }, n=> canonicalName(players, n))
+    changeEvents('add', `Added ${size}-player event (1st: ${(ev.placements[1]||[]).join(' & ') || '—'})`, prev => [...prev, ev])
+    alert('Event added to standings')
+  }
+
+  /** Replace an event in the ledger, keeping the previous version in its revisions */
+  const editEvent = (id, changes) => {
+    const idx = events.findIndex(ev => ev.id===id)
+    changeEvents('edit', `Edited event ${idx+1} (${new Date(id).toLocaleDateString()})`, prev => prev.map(ev => {
+      if (ev.id !== id) return ev
+      const { revisions = [], ...before } = ev
+      return { ...ev, ...changes, revisions: [...revisions, { editedAt: Date.now(), before }] }
+    }))
+  }
+
+  /** Save an edited points table as a new rules version for this season */
+  const savePointsTable = (table) => {
+    setRegistry(r => ({ ...r, seasons: r.seasons.map(s => {
+      if (s.id!==seasonId) return s
+      const sets = seasonRuleSets(s)
+      return { ...s, rules: [...sets, { version: latestRules(sets).version + 1, createdAt: Date.now(), table }] }
+    }) }))
+  }
+
+  /** Admin action: move every event of this season onto the latest rules */
+  const rescoreSeason = () => {
+    if (seasonLocked()) return
+    if (!confirm(`Re-score all ${events.length} events of this season with rules v${activeRules.version}? Old awards will no longer apply.`)) return
+    changeEvents('recompute', `Re-scored ${events.length} events with rules v${activeRules.version}`, prev => prev.map(ev => ({ ...ev, rulesVersion: activeRules.version })))
+  }
+
+  const resumeDraft = () => {
+    switchSeason(draftPrompt.seasonId)
+    setDraftPrompt(null)
+    setResumeToken(t => t + 1)
+    setView('add')
+  }
+
+  const discardDraft = () => {
+    if (!confirm('Discard the unfinished matchday? Its logged scores will be lost.')) return
+    clearDraft()
+    setDraftPrompt(null)
+  }
+
+  /** Rewrite a player's name in every season's ledger (names matching `from` become `to`).
+   *  Refuses, returning false, when a closed season's ledger has one of the names. */
+  const rewritePlayerName = (from, to) => {
+    const closed = closedSeasonsWith(from)
+    if (closed.length){
+      alert(`${from[0]} played in closed season${closed.length===1 ? '' : 's'} ${closed.map(s=> s.name).join(', ')}. Reopen ${closed.length===1 ? 'it' : 'them'} from the Archive first.`)
+      return false
+    }
+    const keys = new Set(from.map(normName))
+    const rename = (n) => keys.has(normName(n)) ? to : n
+    const summary = `Renamed ${from.join(' / ')} → ${to}`
+    registry.seasons.forEach(s=> {
+      if (s.id===seasonId) return
+      const before = loadEvents(s.id), after = before.map(ev=> renameInEvent(ev, rename))
+      const action = ledgerAction('rename', summary, before, after, deviceName)
+      if (!action) return
+      persist(`${s.name}'s ledger`, ()=> saveEvents(after, s.id))
+      persist(`${s.name}'s change log`, ()=> saveActions(trimActions([...loadActions(s.id), action]), s.id))
+    })
+    changeEvents('rename', summary, prev => prev.map(ev=> renameInEvent(ev, rename)))
+    return true
+  }
+
+  const renamePlayer = (id, newName) => {
+    const name = newName.trim()
+    const p = players.find(x=> x.id===id)
+    if (!p || !name || name===p.name) return
+    const clash = findPlayer(players, name)
+    if (clash && clash.id!==id) return alert(`${name} is already used by ${clash.name}. Merge the players instead.`)
+    if (!rewritePlayerName([p.name], name)) return
+    setPlayers(ps => ps.map(x=> x.id===id
+      ? { ...x, name, aliases: [...new Set([...x.aliases, p.name])].filter(a=> normName(a)!==normName(name)) }
+      : x))
+  }
+
+  /** Fold `sourceId` into `targetId`: ledgers switch to the target's name, the source's names become aliases */
+  const mergePlayers = (sourceId, targetId) => {
+    const src = players.find(x=> x.id===sourceId), dst = players.find(x=> x.id===targetId)
+    if (!src || !dst || src===dst) return
+    if (!confirm(`Merge ${src.name} into ${dst.name}? Every event in every season will be rewritten, and this can't be undone.`)) return
+    if (!rewritePlayerName([src.name, ...src.aliases], dst.name)) return
+    setPlayers(ps => ps
+      .filter(x=> x.id!==sourceId)
+      .map(x=> x.id===targetId ? { ...x, aliases: [...new Set([...x.aliases, src.name, ...src.aliases])] } : x))
+  }
+
+  const setAliases = (id, aliases) => {
+    const taken = aliases.find(a=> { const p = findPlayer(players, a); return p && p.id!==id })
+    if (taken) return alert(`${taken} already belongs to ${findPlayer(players, taken).name}`)
+    // A new alias re-attributes that name's results, so it must not reach into a closed season
+    const current = players.find(x=> x.id===id)?.aliases || []
+    const closed = closedSeasonsWith(aliases.filter(a=> !current.includes(a)))
+    if (closed.length) return alert(`That name appears in closed season${closed.length===1 ? '' : 's'} ${closed.map(s=> s.name).join(', ')}. Reopen ${closed.length===1 ? 'it' : 'them'} from the Archive first.`)
+    setPlayers(ps => ps.map(x=> x.id===id ? { ...x, aliases } : x))
+  }
+
+  return (
+    <div className="container">
+      <header>
+        <div>
+          <h1>Violet Crown Pickleball — Standings</h1>
+          <SeasonSwitcher
+            registry={registry}
+            seasonId={seasonId}
+            onSwitch={switchSeason}
+            onNewSeason={createSeason}
+            onNewLeague={createLeague}
+          />
+        </div>
+        <div className="tabs">
+          <button className="btn" onClick={()=>setView('standings')}>Standings</button>
+          <button className="btn" onClick={()=>setView('add')}>Add Event</button>
+          <button className="btn" onClick={()=>setView('history')}>History</button>
+          <button className="btn" onClick={()=>setView('players')}>Players</button>
+          <button className="btn" onClick={()=>setView('matrices')}>Matrices</button>
+          <button className="btn" onClick={()=>setView('archive')}>Archive</button>
+          <button className="btn" onClick={()=>setView('settings')}>Points</button>
+          <button className="btn" onClick={()=>setView('formats')}>Formats</button>
+          <button className="btn" onClick={()=>setView('data')}>Data</button>
+          <button className="btn" onClick={()=>setView('log')}>Log</button>
+        </div>
+      </header>
+
+      {draftPrompt && (
+        <div className="card" style={{margin:'12px 0', borderColor:'var(--brand)'}}>
+          <div className="row" style={{justifyContent:'space-between', flexWrap:'wrap', gap:8}}>
+            <span>
+              <strong>Unfinished matchday</strong>{' '}
+              <span className="muted">
+                ({draftPrompt.size} players, {draftPrompt.games?.length || 0} match{draftPrompt.games?.length===1 ? '' : 'es'} logged
+                {registry.seasons.find(s=> s.id===draftPrompt.seasonId) ? `, ${registry.seasons.find(s=> s.id===draftPrompt.seasonId).name}` : ''}
+                {draftPrompt.savedAt ? `, saved ${new Date(draftPrompt.savedAt).toLocaleString()}` : ''})
+              </span>
+            </span>
+            <div className="row" style={{gap:8}}>
+              <button className="btn primary" onClick={resumeDraft}>Resume</button>
+              <button className="btn" onClick={discardDraft}>Discard</button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {storageError && (
+        <div className="card error" style={{margin:'12px 0'}}>
+          <div className="row" style={{justifyContent:'space-between', gap:8}}>
+            <span>{storageError}</span>
+            <button className="btn" onClick={()=>setStorageError('')}>Dismiss</button>
+          </div>
+        </div>
+      )}
+
+      {currentSeason?.closed && (
+        <p className="muted">This season is closed — its standings are final. Reopen it from the Archive to make changes.</p>
+      )}
+
+      {(view==='standings' || view==='add') && (
+        <div style={{margin:'12px 0'}}>
+          <div className="row" style={{gap:8, flexWrap:'wrap', alignItems:'center'}}>
+            <button className="btn" disabled={!done.length || currentSeason?.closed} onClick={undo} title={findAction(done[done.length-1])?.summary}>Undo</button>
+            <button className="btn" disabled={!undone.length || currentSeason?.closed} onClick={redo} title={findAction(undone[undone.length-1])?.summary}>Redo</button>
+            {done.length>0 && <span className="muted">Last change: {findAction(done[done.length-1])?.summary}</span>}
+          </div>
+        </div>
+      )}
+
+      {view==='standings' && (
+        <section className="card">
+          <PublishBar season={currentSeason?.name} rows={rows} events={canonicalEvents} ruleSets={ruleSets} />
+          <div style={{overflowX:'auto'}}>
+            <table>
+              <thead>
+                <tr>
+                  <th>Rank</th><th title="Rank change since the previous event"></th><th>Player</th><th title={counting.bestOf ? `Best ${counting.bestOf} results count` : undefined}>Points</th>{counting.bestOf && <th>Total</th>}<th>Games</th><th>Wins</th><th>Losses</th>
+                  <th>Points For</th><th>Points Against</th><th>Point Diff</th>
+                  <th>Slam Wins</th><th>Signature Wins</th><th>Challenger Wins</th><th>Avg Diff</th>
+                  <th title="Doubles skill rating (Elo)">Rating</th><th title="Rating change over the latest event">±</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map(r=> (
+                  <tr key={r.Player}>
+                    <td><strong>{r.Rank}</strong></td>
+                    <td><RankMove value={movement[r.Player]} /></td>
+                    <td>
+                      <button className="link" onClick={()=>openProfile(r.Player)}>{r.Player}</button>
+                      {r.Eligible===false && <span className="badge" title={`Needs ${counting.minEvents} events to qualify for season awards`}>ineligible</span>}
+                    </td>
+                    <td>{r.Points}</td>
+                    {counting.bestOf && <td className="muted">{r.TotalPoints}</td>}
+                    <td>{r.Games}</td>
+                    <td>{r.Wins}</td>
+                    <td>{r.Losses}</td>
+                    <td>{r.PF}</td>
+                    <td>{r.PA}</td>
+                    <td>{r.PointDiff}</td>
+                    <td>{r.SlamWins}</td>
+                    <td>{r.SignatureWins}</td>
+                    <td>{r.ChallengerWins}</td>
+                    <td>{r.AvgDiff}</td>
+                    <td>{ratings[r.Player]?.rating ?? '—'}</td>
+                    <td style={{color: ratings[r.Player]?.change > 0 ? '#16a34a' : ratings[r.Player]?.change < 0 ? '#dc2626' : undefined}}>
+                      {ratings[r.Player]?.change == null ? '' : (ratings[r.Player].change > 0 ? '+' : '') + ratings[r.Player].change}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          {tiebreakNotes.length>0 && (
+            <ul className="muted" style={{marginTop:8}}>
+              {tiebreakNotes.map((n,i)=> <li key={i}>{n}</li>)}
+            </ul>
+          )}
+          {history.length>0 && <StandingsProgression history={history} />}
+        </section>
+      )}
+
+      {view==='profile' && profileName && (
+        <PlayerProfile
+          profile={buildPlayerProfile(profileName, canonicalEvents, ruleSets)}
+          totals={season[profileName]}
+          onBack={()=>setView('standings')}
+          onOpen={openProfile}
+        />
+      )}
+
+      {view==='matrices' && <SeasonMatrices events={canonicalEvents} onOpen={openProfile} />}
+
+      {view==='add' && !currentSeason?.closed && (
+        <AddEventForm
+          key={`${seasonId}:${resumeToken}`}
+          season={season}
+          ratings={ratings}
+          seasonId={seasonId}
+          players={players}
+          pointsTable={activeRules.table}
+          formats={formats}
+          onAdd={addPlacementEvent}
+          restoreDraft={!draftPrompt}
+          onStart={()=> setDraftPrompt(null)}
+          persist={persist}
+        />
+      )}
+
+      {view==='history' && (
+        <HistoryView
+          events={events}
+          onDelete={(id)=>{
+            if (confirm('Delete this event from history? It can be restored from the Log trash.')) {
+              changeEvents('delete', `Deleted event ${events.findIndex(e => e.id===id)+1} (${new Date(id).toLocaleDateString()})`, prev => prev.filter(e => e.id !== id))
+            }
+          }}
+          onEdit={editEvent}
+          ruleSets={ruleSets}
+          formats={formats}
+          closed={!!currentSeason?.closed}
+        />
+      )}
+
+      {view==='players' && (
+        <PlayersPanel players={players} onRename={renamePlayer} onMerge={mergePlayers} onSetAliases={setAliases} />
+      )}
+
+      {view==='archive' && (
+        <ArchiveView
+          registry={registry}
+          seasonId={seasonId}
+          events={events}
+          players={players}
+          onOpen={(id)=>{ switchSeason(id); setView('standings') }}
+          onSetClosed={setSeasonClosed}
+        />
+      )}
+
+      {view==='settings' && (
+        <>
+          <PointsSettings ruleSets={ruleSets} events={events} onSave={savePointsTable} onRescore={rescoreSeason} />
+          <FormatSettings formats={formats} onSave={setFormats} />
+          <TiebreakSettings chain={tiebreakers} onSave={setTiebreakers} />
+          <CountingSettings rules={counting} events={events.length} onSave={setCounting} />
+        </>
+      )}
+
+      {view==='log' && (
+        <ActionLog
+          actions={actions}
+          events={events}
+          undone={undone}
+          deviceName={deviceName}
+          onDeviceName={setDeviceName}
+          onRestore={restoreEvent}
+        />
+      )}
+
+      {view==='formats' && <ScheduleAnalyzer sizes={Object.keys(activeRules.table).map(Number)} />}
+
+      {view==='data' && (
+        <DataPanel
+          seasonId={seasonId}
+          seasonName={currentSeason?.name}
+          rulesVersion={activeRules.version}
+          players={players}
+          standings={rows}
+          ratings={ratings}
+          events={canonicalEvents}
+          ledger={events}
+          rankLedger={rankLedger}
+          formats={formats}
+          ruleSets={ruleSets}
+          closed={!!currentSeason?.closed}
+          onChangeEvents={changeEvents}
+          onDraftImported={setDraftPrompt}
+        />
+      )}
+    </div>
+  )
+}
+
+/** ---------------- Views & Panels ---------------- */
+
+/** Minimal SVG line chart: series = [{ name, values, color? }] over a shared x axis */
+function LineChart({ series, labels=[], height=220, yLabel='', invert=false, legend=false }){
+  const width = 640, pad = { l:44, r:12, t:12, b:28 }
+  const all = series.flatMap(s=> s.values.filter(v=> v!=null))
+  if (!all.length) return <p className="muted">(Nothing to plot yet)</p>
+  const n = Math.max(...series.map(s=> s.values.length))
+  // Ranks (inverted charts) start at 1; everything else starts at 0
+  const lo = invert ? Math.min(1, ...all) : Math.min(0, ...all), hi = Math.max(...all, lo+1)
+  const x = (i) => pad.l + (n<=1 ? 0 : i*(width-pad.l-pad.r)/(n-1))
+  const yRaw = (v) => (v-lo)/(hi-lo)
+  const y = (v) => pad.t + (invert ? yRaw(v) : 1-yRaw(v))*(height-pad.t-pad.b)
+  const palette = ['#5a32a3','#0891b2','#d97706','#16a34a','#dc2626','#db2777','#4b5563','#2563eb','#65a30d','#9333ea']
+
+  const colorOf = (s, si) => s.color || palette[si % palette.length]
+
+  return (
+    <>
+      <svg viewBox={`0 0 ${width} ${height}`} style={{width:'100%', maxWidth:width, height:'auto'}} role="img">
+        <line x1={pad.l} y1={pad.t} x2={pad.l} y2={height-pad.b} stroke="#e5e7eb" />
+        <line x1={pad.l} y1={height-pad.b} x2={width-pad.r} y2={height-pad.b} stroke="#e5e7eb" />
+        <text x={4} y={pad.t+8} fontSize="10" fill="#6b7280">{invert ? lo : hi}</text>
+        <text x={4} y={height-pad.b} fontSize="10" fill="#6b7280">{invert ? hi : lo}</text>
+        {yLabel && <text x={4} y={height/2} fontSize="10" fill="#6b7280">{yLabel}</text>}
+        {labels.map((l, i)=> (
+          <text key={i} x={x(i)} y={height-8} fontSize="10" fill="#6b7280" textAnchor="middle">{l}</text>
+        ))}
+        {series.map((s, si)=> {
+          const color = colorOf(s, si)
+          const pts = s.values.map((v, i)=> v==null ? null : [x(i), y(v)]).filter(Boolean)
+          return (
+            <g key={s.name}>
+              <polyline fill="none" stroke={color} strokeWidth="2" points={pts.map(p=> p.join(',')).join(' ')} />
+              {pts.map(([px, py], i)=> <circle key={i} cx={px} cy={py} r="3" fill={color}><title>{s.name}</title></circle>)}
+            </g>
+          )
+        })}
+      </svg>
+      {legend && (
+        <div className="row" style={{gap:12, flexWrap:'wrap', fontSize:12, marginTop:4}}>
+          {series.map((s, si)=> (
+            <span key={s.name} style={{display:'inline-flex', alignItems:'center', gap:4}}>
+              <span style={{width:10, height:10, borderRadius:2, background: colorOf(s, si), display:'inline-block'}} />{s.name}
+            </span>
+          ))}
+        </div>
+      )}
+    </>
+  )
+}
+
+function RankMove({ value }){
+  if (value==='new') return <span className="muted" style={{fontSize:11}}>NEW</span>
+  if (!value) return <span className="muted">–</span>
+  return value > 0
+    ? <span style={{color:'#16a34a'}} title={`Up ${value}`}>▲{value}</span>
+    : <span style={{color:'#dc2626'}} title={`Down ${-value}`}>▼{-value}</span>
+}
+
+function StandingsProgression({ history }){
+  const [metric, setMetric] = useState('points') // 'points' | 'rank'
+  const finalOrder = history[history.length-1].rows.map(r=> r.Player)
+  const series = finalOrder.map(name=> ({
+    name,
+    values: history.map(snap=> {
+      const row = snap.rows.find(r=> r.Player===name)
+      if (!row) return metric==='points' ? 0 : null
+      return metric==='points' ? row.Points : row.Rank
+    }),
+  }))
+
+  return (
+    <div className="card" style={{marginTop:12}}>
+      <div className="row" style={{justifyContent:'space-between', flexWrap:'wrap', gap:8}}>
+        <strong>Season progression — {metric==='points' ? 'cumulative points' : 'rank'} after each event</strong>
+        <div className="row" style={{gap:8}}>
+          <button className={`btn${metric==='points' ? ' primary' : ''}`} onClick={()=>setMetric('points')}>Points</button>
+          <button className={`btn${metric==='rank' ? ' primary' : ''}`} onClick={()=>setMetric('rank')}>Rank</button>
+        </div>
+      </div>
+      <LineChart series={series} labels={history.map(h=> `E${h.eventIdx+1}`)} invert={metric==='rank'} legend />
+    </div>
+  )
+}
+
+function PlayerProfile({ profile, totals, onBack, onOpen }){
+  const { name, events, games, records, bestPartners, toughestOpponents, timeline } = profile
+  // Results the season's best-N rule leaves out
+  const dropped = new Set((totals?.Results || []).filter(r=> !r.counted).map(r=> r.id))
+  const rec = (r) => `${r.W}–${r.L}`
+  const pct = (x) => `${Math.round(x*100)}%`
+
+  return (
+    <section className="card" style={{display:'grid', gap:12}}>
+      <div className="row" style={{justifyContent:'space-between', flexWrap:'wrap', gap:8}}>
+        <h2 style={{margin:0}}>{name}</h2>
+        <button className="btn" onClick={onBack}>Back to Standings</button>
+      </div>
+
+      <div className="row" style={{gap:16, flexWrap:'wrap'}}>
+        <span><strong>Events:</strong> {events.length}</span>
+        <span><strong>Points:</strong> {dropped.size ? `${totals.Points} counted of ${totals.TotalPoints}` : timeline[timeline.length-1]?.points || 0}</span>
+        {totals?.Eligible===false && <span className="badge">ineligible for awards</span>}
+        <span><strong>Pool:</strong> {rec(records.pool)}</span>
+        <span><strong>Bracket:</strong> {rec(records.bracket)}</span>
+        {(records.other.W + records.other.L)>0 && <span><strong>Other:</strong> {rec(records.other)}</span>}
+      </div>
+
+      <div className="card">
+        <strong>Points over time</strong>
+        <LineChart series={[{ name, values: timeline.map(t=> t.points) }]} labels={timeline.map(t=> `E${t.eventIdx+1}`)} />
+      </div>
+
+      <div className="card">
+        <strong>Events</strong>
+        {!events.length && <p className="muted">No events this season.</p>}
+        {!!events.length && (
+          <table style={{marginTop:8, width:'100%'}}>
+            <thead>
+              <tr><th>Event</th><th>Date</th><th>Size</th><th>Placement</th><th>Points</th><th>Games</th></tr>
+            </thead>
+            <tbody>
+              {events.map(e=> (
+                <tr key={e.id}>
+                  <td>{e.eventIdx+1}</td>
+                  <td>{new Date(e.id).toLocaleDateString()}</td>
+                  <td>{e.size} ({e.label})</td>
+                  <td>{e.place ? ordinal(e.place) : '—'}</td>
+                  <td>
+                    {dropped.has(e.id) ? <span className="muted" style={{textDecoration:'line-through'}} title="Dropped by the best-N rule">{e.points}</span> : e.points}
+                  </td>
+                  <td>{e.games.filter(g=> g.result==='W').length}–{e.games.filter(g=> g.result==='L').length}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      <div className="row" style={{gap:12, flexWrap:'wrap', alignItems:'flex-start'}}>
+        {[['Best partners', bestPartners], ['Toughest opponents', toughestOpponents]].map(([title, list])=> (
+          <div key={title} className="card" style={{flex:'1 1 300px'}}>
+            <strong>{title}</strong>
+            {!list.length && <p className="muted">(No games yet)</p>}
+            {!!list.length && (
+              <table style={{marginTop:8, width:'100%'}}>
+                <thead>
+                  <tr><th>Player</th><th>Games</th><th>W–L</th><th>Win %</th><th>Diff</th></tr>
+                </thead>
+                <tbody>
+                  {list.slice(0, 5).map(r=> (
+                    <tr key={r.Player}>
+                      <td><button className="link" onClick={()=>onOpen(r.Player)}>{r.Player}</button></td>
+                      <td>{r.games}</td>
+                      <td>{r.W}–{r.L}</td>
+                      <td>{pct(r.Pct)}</td>
+                      <td>{r.Diff}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        ))}
+      </div>
+
+      <div className="card">
+        <strong>Games</strong>
+        {!games.length && <p className="muted">(No individual games recorded)</p>}
+        {!!games.length && (
+          <table style={{marginTop:8, width:'100%'}}>
+            <thead>
+              <tr><th>Event</th><th>Stage</th><th>Label</th><th>Partner</th><th>Opponents</th><th>Score</th><th></th></tr>
+            </thead>
+            <tbody>
+              {games.map(g=> (
+                <tr key={`${g.eventIdx}-${g.gameIdx}`}>
+                  <td>{g.eventIdx+1}</td>
+                  <td>{g.stage}</td>
+                  <td>{g.label}</td>
+                  <td>{g.partner}</td>
+                  <td>{g.opponents.join(' & ')}</td>
+                  <td>{g.pf}–{g.pa}</td>
+                  <td><strong>{g.result}</strong></td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </section>
+  )
+}
+
+function SeasonMatrices({ events, onOpen }){
+  const [mode, setMode] = useState('partner') // 'partner' | 'opponent'
+  const [selected, setSelected] = useState(null) // [rowPlayer, colPlayer]
+  const { players, partner, opponent } = useMemo(()=> buildSeasonMatrices(events), [events])
+  const matrix = mode==='partner' ? partner : opponent
+  const pct = (c) => c.W + c.L ? c.W/(c.W + c.L) : null
+  const maxGames = Math.max(1, ...players.flatMap(x=> players.map(y=> matrix[x]?.[y]?.games || 0)))
+
+  // Partner cells shade by how often the pair played; opponent cells by record (green = row player ahead)
+  const shade = (c) => {
+    if (!c?.games) return undefined
+    if (mode==='partner') return `rgba(90,50,163,${0.1 + 0.5*c.games/maxGames})`
+    const p = pct(c)
+    if (p==null) return '#f3f4f6'
+    return p >= 0.5 ? `rgba(22,163,74,${0.15 + 0.5*(p-0.5)*2})` : `rgba(220,38,38,${0.15 + 0.5*(0.5-p)*2})`
+  }
+  const label = (c) => {
+    if (!c?.games) return ''
+    if (mode==='partner') return `${c.games} · ${pct(c)==null ? '—' : Math.round(pct(c)*100) + '%'}`
+    return `${c.W}–${c.L}`
+  }
+
+  const cellGames = selected ? (matrix[selected[0]]?.[selected[1]]?.refs || []) : []
+
+  return (
+    <section className="card" style={{display:'grid', gap:12}}>
+      <div className="row" style={{justifyContent:'space-between', flexWrap:'wrap', gap:8}}>
+        <h2 style={{margin:0}}>{mode==='partner' ? 'Partner Matrix' : 'Head-to-head Matrix'}</h2>
+        <div className="row" style={{gap:8}}>
+          <button className={`btn${mode==='partner' ? ' primary' : ''}`} onClick={()=>{ setMode('partner'); setSelected(null) }}>Partners</button>
+          <button className={`btn${mode==='opponent' ? ' primary' : ''}`} onClick={()=>{ setMode('opponent'); setSelected(null) }}>Opponents</button>
+        </div>
+      </div>
+      <p className="muted" style={{margin:0}}>
+        {mode==='partner'
+          ? 'Cells show games played together · win % as partners. Darker = more games together.'
+          : 'Cells show the row player’s record against the column player. Green = row player leads, red = trails.'}
+        {' '}Click a cell to see the games.
+      </p>
+
+      {!players.length && <p className="muted">No games recorded this season.</p>}
+      {!!players.length && (
+        <div style={{overflowX:'auto'}}>
+          <table style={{width:'auto'}}>
+            <thead>
+              <tr><th></th>{players.map(p=> <th key={p} style={{fontSize:12}}>{p}</th>)}</tr>
+            </thead>
+            <tbody>
+              {players.map(x=> (
+                <tr key={x}>
+                  <th><button className="link" onClick={()=>onOpen(x)}>{x}</button></th>
+                  {players.map(y=> {
+                    const c = matrix[x]?.[y]
+                    const active = selected && selected[0]===x && selected[1]===y
+                    return (
+                      <td
+                        key={y}
+                        onClick={()=> c?.games && setSelected([x, y])}
+                        style={{
+                          textAlign:'center', whiteSpace:'nowrap', fontSize:12,
+                          cursor: c?.games ? 'pointer' : 'default',
+                          background: x===y ? '#f3f4f6' : shade(c),
+                          outline: active ? '2px solid var(--brand)' : undefined,
+                        }}
+                      >
+                        {x===y ? '' : label(c)}
+                      </td>
+                    )
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {selected && (
+        <div className="card">
+          <strong>{selected[0]} {mode==='partner' ? 'with' : 'vs'} {selected[1]} — {cellGames.length} game{cellGames.length===1 ? '' : 's'}</strong>
+          <table style={{marginTop:8, width:'100%'}}>
+            <thead>
+              <tr><th>Event</th><th>Stage</th><th>Label</th><th>Team 1</th><th>Team 2</th><th>Score</th></tr>
+            </thead>
+            <tbody>
+              {cellGames.map(([e, gi])=> {
+                const g = events[e].gameStats[gi]
+                return (
+                  <tr key={`${e}-${gi}`}>
+                    <td>{e+1}</td>
+                    <td>{g.stage || ''}</td>
+                    <td>{g.label || ''}</td>
+                    <td>{(g.team1||[]).join(' & ')}</td>
+                    <td>{(g.team2||[]).join(' & ')}</td>
+                    <td>{g.s1}–{g.s2}</td>
+                  </tr>
+                )
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </section>
+  )
+}
+
+function SeasonSwitcher({ registry, seasonId, onSwitch, onNewSeason, onNewLeague }){
+  const current = registry.seasons.find(s => s.id===seasonId)
+  const leagueId = current?.leagueId || registry.leagues[0]?.id
+  const leagueSeasons = registry.seasons.filter(s => s.leagueId===leagueId)
+
+  const onLeagueChange = (id) => {
+    // Jump to the newest season of the chosen league
+    const seasons = registry.seasons.filter(s => s.leagueId===id)
+    if (seasons.length) onSwitch(seasons[seasons.length-1].id)
+  }
+
+  return (
+    <div className="row" style={{gap:8, flexWrap:'wrap', marginTop:8}}>
+      <select value={leagueId} onChange={e=>onLeagueChange(e.target.value)}>
+        {registry.leagues.map(l=> <option key={l.id} value={l.id}>{l.name}</option>)}
+      </select>
+      <select value={seasonId} onChange={e=>onSwitch(e.target.value)}>
+        {leagueSeasons.map(s=> <option key={s.id} value={s.id}>{s.name}{s.closed ? ' (closed)' : ''}</option>)}
+      </select>
+      <button className="btn" onClick={()=>onNewSeason(leagueId)}>New Season</button>
+      <button className="btn" onClick={onNewLeague}>New League</button>
+    </div>
+  )
+}
+
+function ArchiveView({ registry, seasonId, events, players, onOpen, onSetClosed }){
+  const [leagueFilter, setLeagueFilter] = useState('') // '' = all leagues
+
+  // The live season's ledger may not have been written back to storage yet
+  const ledgers = useMemo(()=> Object.fromEntries(
+    registry.seasons.map(s => [s.id, (s.id===seasonId ? events : loadEvents(s.id)).map(ev=> renameInEvent(ev, n=> canonicalName(players, n)))])
+  ), [registry, seasonId, events, players])
+
+  const finals = useMemo(()=> registry.seasons.map(s => ({
+    ...s,
+    events: ledgers[s.id].length,
+    rows: rankPlayers(Object.entries(recomputeFromLedger(ledgers[s.id], seasonRuleSets(s), seasonCounting(s))).map(([Player, t])=> ({ Player, ...t })),
+      seasonTiebreakers(s), tiebreakContext(ledgers[s.id])),
+  })), [registry, ledgers])
+
+  // All-time totals replay every season's ledger (optionally one league), oldest season first
+  const allTime = useMemo(()=>{
+    let totals = {}
+    registry.seasons
+      .filter(s => !leagueFilter || s.leagueId===leagueFilter)
+      .forEach(s => {
+        const sets = seasonRuleSets(s)
+        ledgers[s.id].forEach(ev => { totals = applyEventToSeason(totals, ev, pointsTableFor(sets, ev.rulesVersion)) })
+      })
+    return rankPlayers(Object.entries(totals).map(([Player, t])=> ({ Player, ...t })))
+  }, [registry, ledgers, leagueFilter])
+
+  return (
+    <section className="card">
+      <h2 style={{marginTop:0}}>Season Archive</h2>
+      {registry.leagues.map(league => (
+        <div key={league.id} style={{marginTop:12}}>
+          <h3 style={{margin:'8px 0'}}>{league.name}</h3>
+          {finals.filter(s => s.leagueId===league.id).map(s => (
+            <div key={s.id} className="card" style={{marginTop:8}}>
+              <div className="row" style={{justifyContent:'space-between', flexWrap:'wrap', gap:8}}>
+                <strong>{s.name} {s.closed ? '— Final' : '— In progress'}</strong>
+                <div className="row" style={{gap:8}}>
+                  <span className="muted">{s.events} event{s.events===1 ? '' : 's'}</span>
+                  {s.id!==seasonId && <button className="btn" onClick={()=>onOpen(s.id)}>Open</button>}
+                  <button className="btn" onClick={()=>onSetClosed(s.id, !s.closed)}>{s.closed ? 'Reopen' : 'Close Season'}</button>
+                </div>
+              </div>
+              {!s.rows.length && <p className="muted">(No events recorded)</p>}
+              {!!s.rows.length && (
+                <table style={{marginTop:8, width:'100%'}}>
+                  <thead>
+                    <tr><th>Rank</th><th>Player</th><th>Points</th><th>Wins</th><th>Losses</th><th>Titles</th></tr>
+                  </thead>
+                  <tbody>
+                    {s.rows.slice(0, 5).map(r=> (
+                      <tr key={r.Player}>
+                        <td>{r.Rank}</td>
+                        <td>{r.Player}</td>
+                        <td>{r.Points}</td>
+                        <td>{r.Wins}</td>
+                        <td>{r.Losses}</td>
+                        <td>{r.SlamWins + r.SignatureWins + r.ChallengerWins}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+          ))}
+        </div>
+      ))}
+
+      <div className="card" style={{marginTop:16}}>
+        <div className="row" style={{justifyContent:'space-between', flexWrap:'wrap', gap:8}}>
+          <strong>All-time Totals</strong>
+          <select value={leagueFilter} onChange={e=>setLeagueFilter(e.target.value)}>
+            <option value="">All leagues</option>
+            {registry.leagues.map(l=> <option key={l.id} value={l.id}>{l.name}</option>)}
+          </select>
+        </div>
+        {!allTime.length && <p className="muted">No events in any season yet.</p>}
+        {!!allTime.length && (
+          <table style={{marginTop:8, width:'100%'}}>
+            <thead>
+              <tr>
+                <th>Rank</th><th>Player</th><th>Points</th><th>Wins</th><th>Losses</th><th>Point Diff</th>
+                <th>Slam Wins</th><th>Signature Wins</th><th>Challenger Wins</th>
+              </tr>
+            </thead>
+            <tbody>
+              {allTime.map(r=> (
+                <tr key={r.Player}>
+                  <td>{r.Rank}</td>
+                  <td>{r.Player}</td>
+                  <td>{r.Points}</td>
+                  <td>{r.Wins}</td>
+                  <td>{r.Losses}</td>
+                  <td>{r.PF - r.PA}</td>
+                  <td>{r.SlamWins}</td>
+                  <td>{r.SignatureWins}</td>
+                  <td>{r.ChallengerWins}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+      <p className="muted" style={{marginTop:8}}>Each season keeps its own ledger; all-time totals are recomputed from every season's ledger.</p>
+    </section>
+  )
+}
+
+function AddEventForm({ season, ratings, seasonId, players, pointsTable, formats, onAdd, restoreDraft, onStart, persist }){
+  // A saved draft for this season picks up where the matchday left off
+  const [draft] = useState(()=> {
+    const d = restoreDraft ? loadDraft() : null
+    return d && d.seasonId===seasonId ? d : null
+  })
+
+  const [size, setSize] = useState(draft?.size ?? 4)
+  const [roster, setRoster] = useState(draft?.roster ?? '')
+  const [guided, setGuided] = useState(true)
+  const [method, setMethod] = useState(draft?.method ?? 'standings') // 'standings' | 'random'
+  const [courts, setCourts] = useState(draft?.courts ?? 1)
+  const [matchFormats, setMatchFormats] = useState(draft?.formats ?? formats)            // fixed when the matchday starts
+  const [seedInput, setSeedInput] = useState('')                                     // blank = fresh draw
+  const [seed, setSeed] = useState(draft?.seed ?? null)                               // seed of the current draw
+  const [reordered, setReordered] = useState(draft?.reordered ?? false)               // letters moved by hand
+  const [dragLetter, setDragLetter] = useState(null)
 
   // Guided state machine
-  const [lettersPool, setLettersPool] = useState(null)     // A.. mapped for POOL
-  const [lettersBracket, setLettersBracket] = useState(null)// A.. mapped for BRACKET (reseeding)
-  const [schedule, setSchedule] = useState([])             // combined: pool then bracket
-  const [poolLen, setPoolLen] = useState(0)
-  const [matchIdx, setMatchIdx] = useState(-1)             // index in combined schedule
-  const [results, setResults] = useState({})               // idx -> {team1,team2,s1,s2,stage,label}
-  const [games, setGames] = useState([])                   // rolling capture for ledger (with stage/label)
-  const [poolAudit, setPoolAudit] = useState(null)         // { rows, notes }
+  const [lettersPool, setLettersPool] = useState(draft?.lettersPool ?? null)         // A.. mapped for POOL
+  const [lettersBracket, setLettersBracket] = useState(draft?.lettersBracket ?? null)// A.. mapped for BRACKET (reseeding)
+  const [schedule, setSchedule] = useState(draft?.schedule ?? [])                    // combined: pool then bracket
+  const [poolLen, setPoolLen] = useState(draft?.poolLen ?? 0)
+  const [matchIdx, setMatchIdx] = useState(draft?.matchIdx ?? -1)                    // index in combined schedule
+  const [results, setResults] = useState(draft?.results ?? {})                       // idx -> {team1,team2,s1,s2,stage,label}
+  const [games, setGames] = useState(draft?.games ?? [])                             // rolling capture for ledger (with stage/label)
+  const [poolAudit, setPoolAudit] = useState(draft?.poolAudit ?? null)               // { rows, notes }
+  const [staleIdx, setStaleIdx] = useState([])                                       // played bracket games invalidated by an edit
+
+  // Persist the in-progress matchday after every start/score so a reload can resume it
+  useEffect(()=>{
+    if (matchIdx < 0) return
+    persist('the unfinished matchday', ()=> saveDraft({ seasonId, size, roster, method, courts, formats: matchFormats, seed, reordered, lettersPool, lettersBracket, schedule, poolLen, matchIdx, results, games, poolAudit }))
+  }, [matchIdx, results, schedule, lettersPool, lettersBracket, poolAudit, games, courts])
 
   // Manual placements (fallback)
   const [p1, setP1] = useState('')
@@ -483,13 +2541,31 @@ function AddEventForm({ season, onAdd }){
   const [p3, setP3] = useState('')
   const [p4, setP4] = useState('')
 
-  const names = useMemo(()=> roster.split(',').map(s=>s.trim()).filter(Boolean), [roster])
+  // Typed names resolve to registered players (by name or alias); unknown names get fuzzy suggestions
+  const typed = useMemo(()=> roster.split(',').map(s=>s.trim()).filter(Boolean), [roster])
+  const names = useMemo(()=> typed.map(n=> canonicalName(players, n)), [typed, players])
+  const rosterMatches = useMemo(()=> typed.map(n=> {
+    const p = findPlayer(players, n)
+    return { typed: n, player: p, suggestions: p ? [] : suggestPlayers(players, n) }
+  }), [typed, players])
+
+  const replaceInRoster = (from, to) => setRoster(typed.map(n=> n===from ? to : n).join(', '))
 
   const startGuided = () => {
     if (names.length !== size) return alert(`This event size requires exactly ${size} players in the roster`)
-    const L = assignLetters(names, season, method)
+    if (matchIdx>=0 && !confirm('Restart the matchday? Scores logged so far will be discarded.')) return
+    const saved = loadDraft()
+    if (matchIdx<0 && saved && !confirm(`There is an unfinished ${saved.size}-player matchday (${saved.games?.length || 0} logged). Starting a new one discards it. Continue?`)) return
+    const typedSeed = seedInput.trim()
+    if (typedSeed && !/^\d+$/.test(typedSeed)) return alert('The seed must be a whole number (leave it blank for a fresh draw)')
+    onStart()
+    const drawSeed = typedSeed ? (+typedSeed >>> 0) : newSeed()
+    const L = assignLetters(names, season, method, ratings, drawSeed)
+    setSeed(drawSeed)
+    setReordered(false)
     setLettersPool(L)
-    const pool = buildPoolSchedule(size)
+    setMatchFormats(formats)
+    const pool = buildPoolSchedule(size, formats.pool)
     setSchedule(pool)
     setPoolLen(pool.length)
     setMatchIdx(0)
@@ -497,37 +2573,68 @@ function AddEventForm({ season, onAdd }){
     setLettersBracket(null)
     setGames([])
     setPoolAudit(null)
+    setStaleIdx([])
   }
 
-  const currentEntry = matchIdx>=0 ? schedule[matchIdx] : null
+  /** Print only the scoresheets (see .print-sheets in styles.css) */
+  const printSheets = () => {
+    document.body.classList.add('printing')
+    const done = () => { document.body.classList.remove('printing'); window.removeEventListener('afterprint', done) }
+    window.addEventListener('afterprint', done)
+    window.print()
+  }
 
-  function onSubmitScore(e){
-    e.preventDefault()
-    if (!currentEntry) return
+  /** Hand-reorder the pool letters (drag `from` onto `to`); only before the first score */
+  const moveLetter = (from, to) => {
+    if (!lettersPool || Object.keys(results).length || from===to) return
+    const keys = Object.keys(lettersPool)
+    const order = keys.map(k=> lettersPool[k])
+    const [name] = order.splice(keys.indexOf(from), 1)
+    order.splice(keys.indexOf(to), 0, name)
+    setLettersPool(lettersFor(order))
+    setReordered(true)
+  }
+
+  // Rounds/courts are derived, so changing the court count mid-matchday just regroups what's left
+  const slots = useMemo(()=> assignCourts(schedule, courts), [schedule, courts])
+  const currentRound = matchIdx>=0 ? Math.min(...schedule.map((_, i)=> i).filter(i=> !results[i]).map(i=> slots[i].round)) : null
+  const roundOpen = schedule.map((_, i)=> i).filter(i=> slots[i]?.round===currentRound && !results[i])
+
+  /** Everyone not on court in a round (for bracket rounds that includes eliminated players) */
+  const sittingOut = (round) => {
+    const onCourt = new Set(schedule.flatMap((entry, i)=> {
+      if (slots[i].round!==round) return []
+      const t = results[i] || resolveTeamsForEntry(entry, lettersPool, lettersBracket, results)
+      return [...(t?.team1||[]), ...(t?.team2||[])]
+    }))
+    return Object.values(lettersPool||{}).filter(n=> !onCourt.has(n))
+  }
+
+  /** Record a score the prompt has already validated against the entry's format */
+  function onSubmitScore(idx, a, b){
+    const currentEntry = schedule[idx]
+    if (!currentEntry || results[idx]) return
 
     const resolved = resolveTeamsForEntry(currentEntry, lettersPool, lettersBracket, results)
     const team1 = resolved.team1, team2 = resolved.team2
-    const a = +(e.target.s1.value||0)
-    const b = +(e.target.s2.value||0)
 
-    if (currentEntry.phase!=='pool'){
-      if (Math.max(a,b) < 11 && !confirm('Bracket games are typically to 15. Continue?')) return
-      if (Math.abs(a-b) < 2 && !confirm('Bracket games are win-by-2. Continue?')) return
-    } else {
-      if (Math.max(a,b) < 11 && !confirm('Pool games are typically to 11. Continue?')) return
-    }
+    // Ties only get here when the format allows them; they count for neither team
+    const winner = a>b ? team1 : b>a ? team2 : []
+    const loser  = a>b ? team2 : b>a ? team1 : []
 
-    const winner = a>b ? team1 : team2
-    const loser  = a>b ? team2 : team1
+    const rec = { team1, team2, s1:a, s2:b, winner, loser, stage: currentEntry.phase, label: currentEntry.label||'', format: currentEntry.format }
+    const nextResults = { ...results, [idx]: rec }
+    const logged = Object.keys(nextResults).sort((x,y)=> x-y).map(k=> nextResults[k])
+    setResults(nextResults)
+    setGames(logged)
 
-    const rec = { team1, team2, s1:a, s2:b, winner, loser, stage: currentEntry.phase, label: currentEntry.label||'' }
-    setResults(r => ({ ...r, [matchIdx]: rec }))
-    setGames(g => [...g, rec])
+    // Matches on other courts may finish in any order, so look for the first one still open
+    const nextIdx = schedule.findIndex((_, i)=> !nextResults[i])
 
-    // If this was the last pool match, reseed & append bracket
-    if (matchIdx === poolLen - 1){
-      const poolGames = [...Object.values({ ...results, [matchIdx]: rec })].filter(x=> x.stage==='pool')
-      const audit = computePoolStats(poolGames)
+    // Once every pool match is in, reseed & append bracket
+    if (!lettersBracket && idx < poolLen && (nextIdx < 0 || nextIdx >= poolLen)){
+      const poolGames = logged.filter(x=> x.stage==='pool')
+      const audit = computePoolStats(poolGames, poolDrawRng(seed))
       setPoolAudit(audit)
 
       // Build bracket letters using pool standings order
@@ -536,31 +2643,55 @@ function AddEventForm({ season, onAdd }){
       audit.rows.forEach((row, i)=> { letters[alpha[i]] = row.Player })
       setLettersBracket(letters)
 
-      const br = buildBracketSchedule(size)
+      const br = buildBracketSchedule(size, matchFormats.bracket)
       setSchedule(prev => [...prev, ...br])
-      setMatchIdx(matchIdx + 1)
+      setMatchIdx(poolLen)
       return
     }
 
     // If not last schedule entry, advance
-    if (matchIdx < schedule.length - 1){
-      setMatchIdx(matchIdx + 1)
+    if (nextIdx >= 0){
+      setMatchIdx(nextIdx)
     } else {
       // Event finished → compute placements and save
-      const finalGames = [...games, rec]
-      const placements = computePlacements(size, { ...results, [matchIdx]: rec }, lettersBracket || lettersPool)
-      onAdd({ size, placements, gameStats: finalGames, poolAudit })
+      const placements = computePlacements(size, nextResults, lettersBracket || lettersPool)
+      onAdd({ size, placements, gameStats: logged, poolAudit, seeding: { method, seed, letters: lettersPool, reordered } })
       // Reset
-      setMatchIdx(-1); setSchedule([]); setResults({}); setLettersPool(null); setLettersBracket(null); setGames([]); setPoolAudit(null); setPoolLen(0)
+      clearDraft()
+      setMatchIdx(-1); setSchedule([]); setResults({}); setLettersPool(null); setLettersBracket(null); setGames([]); setPoolAudit(null); setPoolLen(0); setStaleIdx([])
+      setSeed(null); setReordered(false)
     }
   }
 
-  // If event finished (after bracket), the last submit will call onAdd above; we also need a final call when schedule ends
-  useEffect(()=>{
-    if (matchIdx>=0 && matchIdx === schedule.length){
-      // safety no-op
+  /** Rewrite an already-submitted score; pool edits after the reseed re-derive the bracket letters */
+  function onEditScore(idx, a, b){
+    const prev = results[idx]
+    if (!prev) return
+    const rec = { ...withOutcome({ ...prev, s1:a, s2:b }) }
+    const nextResults = { ...results, [idx]: rec }
+    let nextLetters = lettersBracket
+
+    if (rec.stage==='pool' && lettersBracket){
+      const audit = computePoolStats(Object.values(nextResults).filter(x=> x.stage==='pool'), poolDrawRng(seed))
+      setPoolAudit(audit)
+      nextLetters = lettersFromAudit(audit)
+      setLettersBracket(nextLetters)
     }
-  }, [matchIdx, schedule.length])
+
+    setResults(nextResults)
+    setGames(Object.keys(nextResults).sort((x,y)=> x-y).map(k=> nextResults[k]))
+    setStaleIdx(staleBracketResults(schedule, nextResults, lettersPool, nextLetters))
+  }
+
+  /** Drop every result from the first invalidated bracket game on and play on from there */
+  function replayFrom(idx){
+    const kept = {}
+    Object.keys(results).forEach(k=> { if (+k < idx) kept[k] = results[k] })
+    setResults(kept)
+    setGames(Object.keys(kept).sort((x,y)=> x-y).map(k=> kept[k]))
+    setMatchIdx(idx)
+    setStaleIdx([])
+  }
 
   return (
     <section className="card">
@@ -570,17 +2701,32 @@ function AddEventForm({ season, onAdd }){
         <div>
           <label>Event Size</label>
           <select value={size} onChange={e=>setSize(+e.target.value)}>
-            <option value={4}>4 players (Challenger)</option>
-            <option value={5}>5 players (Challenger)</option>
-            <option value={6}>6 players (Signature)</option>
-            <option value={7}>7 players (Signature)</option>
-            <option value={8}>8 players (Slam)</option>
+            {Object.keys(pointsTable).map(n=> <option key={n} value={n}>{n} players ({pointsTable[n].label})</option>)}
           </select>
         </div>
 
         <div>
           <label>Event Roster (comma-separated)</label>
           <input value={roster} onChange={e=>setRoster(e.target.value)} placeholder="Nathaniel, Alex, Bill, Reinaldo" />
+          {rosterMatches.some(m=> !m.player || m.player.name!==m.typed) && (
+            <ul className="muted" style={{margin:'6px 0 0'}}>
+              {rosterMatches.filter(m=> !m.player || m.player.name!==m.typed).map(m=> (
+                <li key={m.typed}>
+                  {m.player && <>“{m.typed}” → <strong>{m.player.name}</strong></>}
+                  {!m.player && (
+                    <>
+                      “{m.typed}” is a new player
+                      {m.suggestions.map(p=> (
+                        <button key={p.id} type="button" className="btn" style={{marginLeft:6, padding:'2px 8px'}} onClick={()=>replaceInRoster(m.typed, p.name)}>
+                          {p.name}?
+                        </button>
+                      ))}
+                    </>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
         </div>
 
         <div>
@@ -598,20 +2744,70 @@ function AddEventForm({ season, onAdd }){
               <label>Seeding Method for Pool Letters</label>
               <select value={method} onChange={e=>setMethod(e.target.value)}>
                 <option value="standings">Use current standings</option>
+                <option value="rating">Seed by skill rating</option>
                 <option value="random">Randomize (Week 1 / newcomers)</option>
               </select>
             </div>
+            {method==='random' && (
+              <div>
+                <label>Draw Seed (optional)</label>
+                <input value={seedInput} onChange={e=>setSeedInput(e.target.value)} placeholder="blank = new draw; enter a past seed to repeat it" inputMode="numeric" />
+              </div>
+            )}
+            <div>
+              <label>Courts Available</label>
+              <select value={courts} onChange={e=>setCourts(+e.target.value)}>
+                {[1,2,3,4].map(n=> <option key={n} value={n}>{n} court{n===1 ? '' : 's'}</option>)}
+              </select>
+            </div>
             <div className="row" style={{gap:8}}>
               <button className="btn" onClick={startGuided}>Start Guided Matchday</button>
+              {lettersPool && <button className="btn" onClick={printSheets}>Print Scoresheets</button>}
             </div>
 
+            {/* Paper scoresheets; hidden on screen, printed by "Print Scoresheets" */}
+            {lettersPool && (
+              <PrintSheets
+                size={size}
+                tier={pointsTable[size]?.label}
+                bracketFormat={matchFormats.bracket}
+                schedule={schedule}
+                poolLen={poolLen}
+                courts={courts}
+                lettersPool={lettersPool}
+                lettersBracket={lettersBracket}
+                results={results}
+              />
+            )}
+
             {/* Pool letter assignments */}
             {lettersPool && (
               <div className="card" style={{border:'1px dashed #e5e7eb'}}>
                 <strong>Pool Letters:</strong>
+                {seed!=null && <span className="muted"> ({method} draw, seed {seed}{reordered ? ', reordered by hand' : ''})</span>}
                 <div className="row" style={{gap:12, flexWrap:'wrap', marginTop:8}}>
-                  {Object.entries(lettersPool).map(([k,v])=> (<span key={k}><strong>{k}</strong>= {v}</span>))}
+                  {Object.entries(lettersPool).map(([k,v], i, all)=> {
+                    const movable = !Object.keys(results).length
+                    const nudge = { padding:'0 6px', marginLeft:4 }
+                    return (
+                      <span
+                        key={k}
+                        draggable={movable}
+                        onDragStart={()=>setDragLetter(k)}
+                        onDragOver={e=>{ if (movable && dragLetter) e.preventDefault() }}
+                        onDrop={e=>{ e.preventDefault(); moveLetter(dragLetter, k); setDragLetter(null) }}
+                        onDragEnd={()=>setDragLetter(null)}
+                        style={movable ? { cursor:'grab', padding:'2px 8px', border:'1px solid var(--border)', borderRadius:6, background: dragLetter===k ? '#ede9fe' : undefined } : undefined}
+                      >
+                        <strong>{k}</strong>= {v}
+                        {/* Buttons too: touch browsers don't fire HTML5 drag events */}
+                        {movable && i>0 && <button type="button" className="btn" style={nudge} title={`Move to ${all[i-1][0]}`} onClick={()=>moveLetter(k, all[i-1][0])}>←</button>}
+                        {movable && i<all.length-1 && <button type="button" className="btn" style={nudge} title={`Move to ${all[i+1][0]}`} onClick={()=>moveLetter(k, all[i+1][0])}>→</button>}
+                      </span>
+                    )
+                  })}
                 </div>
+                {!Object.keys(results).length && <p className="muted" style={{margin:'6px 0 0'}}>Drag a name onto another letter (or use the arrows) to reorder before the first match.</p>}
               </div>
             )}
 
@@ -625,19 +2821,53 @@ function AddEventForm({ season, onAdd }){
               </div>
             )}
 
-            {/* Current match prompt */}
-            {matchIdx>=0 && matchIdx < schedule.length && (
-              <GuidedMatchPrompt
-                entry={currentEntry}
+            {/* Bracket tree, filling in as results come in */}
+            {matchIdx>=0 && (
+              <div className="card">
+                <strong>Bracket</strong>
+                <BracketTree
+                  size={size}
+                  lettersBracket={lettersBracket}
+                  games={Object.keys(results).sort((x,y)=> x-y).map(k=> results[k]).filter(r=> r.stage!=='pool')}
+                />
+              </div>
+            )}
+
+            {/* Round overview: courts + sit-outs */}
+            {matchIdx>=0 && courts>1 && (
+              <RoundsOverview
+                schedule={schedule}
+                slots={slots}
+                results={results}
                 lettersPool={lettersPool}
                 lettersBracket={lettersBracket}
-                results={results}
-                onSubmit={onSubmitScore}
-                matchIdx={matchIdx}
-                total={schedule.length}
+                currentRound={currentRound}
+                sittingOut={sittingOut}
               />
             )}
 
+            {/* Current round prompts (one per open court) */}
+            {matchIdx>=0 && matchIdx < schedule.length && (
+              <>
+                {sittingOut(currentRound).length>0 && (
+                  <p className="muted" style={{margin:0}}>Round {currentRound} — sitting out: {sittingOut(currentRound).join(', ')}</p>
+                )}
+                {roundOpen.map(idx=> (
+                  <GuidedMatchPrompt
+                    key={idx}
+                    entry={schedule[idx]}
+                    lettersPool={lettersPool}
+                    lettersBracket={lettersBracket}
+                    results={results}
+                    onSubmit={(a, b)=>onSubmitScore(idx, a, b)}
+                    matchIdx={idx}
+                    total={schedule.length}
+                    slot={slots[idx]}
+                  />
+                ))}
+              </>
+            )}
+
             {/* Pool Standings audit table (appears right after pools finish) */}
             {poolAudit && (
               <div className="card">
@@ -665,57 +2895,296 @@ function AddEventForm({ season, onAdd }){
                     {poolAudit.notes.map((n,i)=> <li key={i}>{n}</li>)}
                   </ul>
                 )}
-                <p className="muted" style={{marginTop:8}}>Tiebreakers applied in order: Wins → Point Differential → Points For → Head-to-head → Random (noted above if used).</p>
+                <p className="muted" style={{marginTop:8}}>Tiebreakers applied in order: Wins → Point Differential → Points For → head-to-head among the tied players (wins, then point diff) → random draw (each step noted above).</p>
+              </div>
+            )}
+
+            {/* Bracket games invalidated by a score correction */}
+            {staleIdx.length>0 && (
+              <div className="card" style={{borderColor:'#b91c1c'}}>
+                <strong>Bracket games no longer valid</strong>
+                <p style={{margin:'8px 0'}}>
+                  The correction changed the reseed or an earlier bracket result. These games were played with teams that no longer match:
+                </p>
+                <ul style={{margin:'0 0 8px'}}>
+                  {staleIdx.map(idx=> (
+                    <li key={idx}>Match {idx+1} — {results[idx]?.label}: {results[idx]?.team1.join(' & ')} vs {results[idx]?.team2.join(' & ')}</li>
+                  ))}
+                </ul>
+                <div className="row" style={{gap:8}}>
+                  <button className="btn primary" onClick={()=>replayFrom(staleIdx[0])}>Replay from Match {staleIdx[0]+1}</button>
+                  <button className="btn" onClick={()=>setStaleIdx([])}>Keep results as played</button>
+                </div>
               </div>
             )}
 
             {/* Live log of all matches this event */}
             {games.length>0 && (
-              <div className="card">
-                <strong>Logged Matches (this event)</strong>
-                <table style={{marginTop:8, width:'100%'}}>
-                  <thead>
-                    <tr><th>#</th><th>Stage</th><th>Label</th><th>Team 1</th><th>Team 2</th><th>Score</th></tr>
-                  </thead>
-                  <tbody>
-                    {games.map((g,i)=> (
-                      <tr key={i}>
-                        <td>{i+1}</td>
-                        <td>{g.stage}</td>
-                        <td>{g.label}</td>
-                        <td>{g.team1.join(' & ')}</td>
-                        <td>{g.team2.join(' & ')}</td>
-                        <td>{g.s1}–{g.s2}</td>
-                      </tr>
-                    ))}
-                  </tbody>
-                </table>
-              </div>
+              <LoggedMatches results={results} schedule={schedule} onEdit={onEditScore} />
             )}
           </div>
         )}
 
         {!guided && (
-          <ManualPlacements names={names} size={size} onAdd={(payload)=> onAdd(payload)} />
+          <ManualPlacements names={names} size={size} formats={formats} onAdd={(payload)=> onAdd(payload)} />
         )}
       </div>
 
       {/* datalist for quick type-ahead */}
       <datalist id="rosterlist">
-        {names.map(n=> <option key={n} value={n} />)}
+        {[...new Set([...names, ...players.map(p=> p.name)])].map(n=> <option key={n} value={n} />)}
       </datalist>
     </section>
   )
 }
 
-function GuidedMatchPrompt({ entry, lettersPool, lettersBracket, results, onSubmit, matchIdx, total }){
+function LoggedMatches({ results, schedule, onEdit }){
+  const [editing, setEditing] = useState(-1)
+  const [error, setError] = useState('')
+  const played = Object.keys(results).map(Number).sort((x,y)=> x-y)
+
+  const save = (e) => {
+    e.preventDefault()
+    const a = e.target.s1.value, b = e.target.s2.value
+    const err = validateScore(a, b, schedule[editing])
+    if (err) return setError(err)
+    onEdit(editing, +a, +b)
+    setEditing(-1); setError('')
+  }
+
+  return (
+    <div className="card">
+      <strong>Logged Matches (this event)</strong>
+      <table style={{marginTop:8, width:'100%'}}>
+        <thead>
+          <tr><th>#</th><th>Stage</th><th>Label</th><th>Team 1</th><th>Team 2</th><th>Score</th><th></th></tr>
+        </thead>
+        <tbody>
+          {played.map(idx=> {
+            const g = results[idx]
+            return (
+              <tr key={idx}>
+                <td>{idx+1}</td>
+                <td>{g.stage}</td>
+                <td>{g.label}</td>
+                <td>{g.team1.join(' & ')}</td>
+                <td>{g.team2.join(' & ')}</td>
+                {editing===idx ? (
+                  <td colSpan={2}>
+                    <form onSubmit={save} className="row" style={{gap:6, flexWrap:'wrap'}}>
+                      <input name="s1" type="number" min="0" defaultValue={g.s1} style={{width:64}} required />
+                      <input name="s2" type="number" min="0" defaultValue={g.s2} style={{width:64}} required />
+                      <button className="btn primary" type="submit">Save</button>
+                      <button className="btn" type="button" onClick={()=>{ setEditing(-1); setError('') }}>Cancel</button>
+                      {error && <span className="error">{error}</span>}
+                    </form>
+                  </td>
+                ) : (
+                  <>
+                    <td>{g.s1}–{g.s2}</td>
+                    <td><button className="btn" onClick={()=>{ setEditing(idx); setError('') }}>Edit</button></td>
+                  </>
+                )}
+              </tr>
+            )
+          })}
+        </tbody>
+      </table>
+    </div>
+  )
+}
+
+/** Bracket drawn as columns of matches (semis → final, bronze beside the final).
+ *  Works from the bracket games recorded so far; seeds come from the post-pool reseed
+ *  letters and unknown sides show as (TBD). */
+function BracketTree({ size, lettersBracket, games }){
+  const plan = buildBracketSchedule(size)
+  const played = (label) => games.find(g=> g.label===label)
+
+  // Column = how many bracket games feed into this one
+  const depth = (entry) => entry.phase==='bracket' ? 0 : 1 + Math.max(0, ...[entry.from1, entry.from2]
+    .filter(f=> f.type!=='fixedLetters')
+    .map(f=> depth(plan.find(e=> e.label===f.label))))
+  const columns = []
+  plan.forEach(entry=> { const d = depth(entry); (columns[d] = columns[d] || []).push(entry) })
+  // The Final heads its column, with the Bronze match beneath it
+  columns.forEach(col=> col.sort((a,b)=> (b.label==='Final') - (a.label==='Final')))
+
+  const seedOf = (name) => lettersBracket && Object.keys(lettersBracket).find(k=> lettersBracket[k]===name)
+  const fromLetters = (letters) => lettersBracket ? letters.map(l=> lettersBracket[l]) : null
+  const planned = (entry, which) => {
+    if (entry.phase==='bracket') return fromLetters(which===1 ? entry.pair1 : entry.pair2)
+    const from = which===1 ? entry.from1 : entry.from2
+    if (from.type==='fixedLetters') return fromLetters(from.letters)
+    const base = played(from.label)
+    return base ? (from.type==='winnerOf' ? base.winner : base.loser) : null
+  }
+  const source = (entry, which) => {
+    const from = which===1 ? entry.from1 : entry.from2
+    return from && from.type!=='fixedLetters' ? `${from.type==='winnerOf' ? 'Winner' : 'Loser'} ${from.label}` : null
+  }
+
+  const Side = ({ entry, which, result }) => {
+    const team = result ? result[`team${which}`] : planned(entry, which)
+    const score = result ? result[`s${which}`] : null
+    const won = result && (which===1 ? +result.s1 > +result.s2 : +result.s2 > +result.s1)
+    return (
+      <div className="row" style={{justifyContent:'space-between', gap:8, padding:'4px 8px', fontWeight: won ? 700 : 400, background: won ? '#f5f3ff' : undefined}}>
+        <span>
+          {team?.length
+            ? team.map(n=> seedOf(n) ? `${n} (${seedOf(n)})` : n).join(' & ')
+            : <span className="muted">(TBD){source(entry, which) ? ` · ${source(entry, which)}` : ''}</span>}
+        </span>
+        <span>{score ?? ''}</span>
+      </div>
+    )
+  }
+
+  return (
+    <div className="row" style={{gap:24, alignItems:'center', overflowX:'auto', marginTop:8}}>
+      {columns.map((col, c)=> (
+        <div key={c} style={{display:'grid', gap:16, minWidth:220}}>
+          {col.map(entry=> {
+            const result = played(entry.label)
+            return (
+              <div key={entry.label} style={{border:'1px solid var(--border)', borderRadius:8, overflow:'hidden', borderLeft: c>0 ? '3px solid var(--brand)' : undefined}}>
+                <div className="muted" style={{padding:'2px 8px', fontSize:12, borderBottom:'1px solid var(--border)'}}>{entry.label}</div>
+                <Side entry={entry} which={1} result={result} />
+                <div style={{borderTop:'1px solid var(--border)'}} />
+                <Side entry={entry} which={2} result={result} />
+              </div>
+            )
+          })}
+        </div>
+      ))}
+    </div>
+  )
+}
+
+/** Printable pool scoresheet + bracket sheet for the current matchday. Score boxes stay blank
+ *  for writing in; bracket seeds show the reseeded names once the pool is complete. */
+function PrintSheets({ size, tier, bracketFormat, schedule, poolLen, courts, lettersPool, lettersBracket, results }){
+  // Before the reseed the bracket isn't in the schedule yet; lay it out anyway so the sheet is complete
+  const full = lettersBracket ? schedule : [...schedule.slice(0, poolLen), ...buildBracketSchedule(size, bracketFormat)]
+  const slots = assignCourts(full, courts)
+  const date = new Date().toLocaleDateString()
+  const seeds = 'ABCDEFGHIJKLMNOP'.slice(0, size).split('')
+
+  const poolSide = (letters) => letters.map(l=> `${lettersPool[l]} (${l})`).join(' & ')
+  const bracketSide = (entry, which) => {
+    if (entry.phase==='bracket'){
+      const letters = which===1 ? entry.pair1 : entry.pair2
+      return letters.map(l=> lettersBracket ? `${lettersBracket[l]} (${l})` : `Seed ${l}`).join(' & ')
+    }
+    const from = which===1 ? entry.from1 : entry.from2
+    if (from.type==='fixedLetters') return from.letters.map(l=> lettersBracket ? `${lettersBracket[l]} (${l})` : `Seed ${l}`).join(' & ')
+    const base = Object.values(results).find(r=> r.label===from.label)
+    const team = base && (from.type==='winnerOf' ? base.winner : base.loser)
+    return team?.length ? team.join(' & ') : `${from.type==='winnerOf' ? 'Winner' : 'Loser'} of ${from.label}`
+  }
+  const header = (title) => (
+    <div className="sheet-header">
+      <strong>{title}</strong>
+      <span>{size} players{tier ? ` · ${tier}` : ''} · {courts} court{courts===1 ? '' : 's'} · {date}</span>
+    </div>
+  )
+  const rows = (from, to, side) => full.slice(from, to).map((entry, k)=> {
+    const i = from + k
+    return (
+      <tr key={i}>
+        <td>{i+1}</td>
+        <td>{slots[i]?.round}</td>
+        <td>{slots[i]?.court}</td>
+        <td>{entry.label || ''}</td>
+        <td>{side(entry, 1)}</td>
+        <td><span className="score-box" /></td>
+        <td><span className="score-box" /></td>
+        <td>{side(entry, 2)}</td>
+        <td className="sheet-format">{describeFormat(entry)}</td>
+      </tr>
+    )
+  })
+  const head = (
+    <thead>
+      <tr><th>#</th><th>Rd</th><th>Ct</th><th>Game</th><th>Team 1</th><th>T1</th><th>T2</th><th>Team 2</th><th>Format</th></tr>
+    </thead>
+  )
+
+  return (
+    <div className="print-sheets">
+      <section className="sheet">
+        {header('Pool Scoresheet')}
+        <p className="sheet-letters">{Object.entries(lettersPool).map(([k,v])=> `${k} = ${v}`).join(' · ')}</p>
+        <table>
+          {head}
+          <tbody>{rows(0, poolLen, (entry, which)=> poolSide(which===1 ? entry.pair1 : entry.pair2))}</tbody>
+        </table>
+      </section>
+      <section className="sheet">
+        {header('Bracket Sheet')}
+        <p className="sheet-letters">
+          {lettersBracket ? 'Seeds after pool reseed: ' : 'Seeds (write in after the pool finishes): '}
+          {seeds.map(l=> `${l} = ${lettersBracket?.[l] || '____________'}`).join(' · ')}
+        </p>
+        <table>
+          {head}
+          <tbody>{rows(poolLen, full.length, bracketSide)}</tbody>
+        </table>
+      </section>
+    </div>
+  )
+}
+
+function RoundsOverview({ schedule, slots, results, lettersPool, lettersBracket, currentRound, sittingOut }){
+  const rounds = [...new Set(slots.map(s=> s.round))]
+  return (
+    <div className="card">
+      <strong>Court Schedule</strong>
+      <table style={{marginTop:8, width:'100%'}}>
+        <thead>
+          <tr><th>Round</th><th>Court</th><th>Match</th><th>Score</th><th>Sitting out</th></tr>
+        </thead>
+        <tbody>
+          {rounds.flatMap(round=> {
+            const idxs = schedule.map((_, i)=> i).filter(i=> slots[i].round===round)
+            return idxs.map((i, k)=> {
+              const t = results[i] || resolveTeamsForEntry(schedule[i], lettersPool, lettersBracket, results)
+              return (
+                <tr key={i} style={round===currentRound ? { background:'#f5f3ff' } : undefined}>
+                  {k===0 && <td rowSpan={idxs.length}><strong>{round}</strong></td>}
+                  <td>{slots[i].court}</td>
+                  <td>{schedule[i].label}: {t?.team1?.join(' & ')} vs {t?.team2?.join(' & ')}</td>
+                  <td>{results[i] ? `${results[i].s1}–${results[i].s2}` : ''}</td>
+                  {k===0 && <td rowSpan={idxs.length} className="muted">{sittingOut(round).join(', ') || '—'}</td>}
+                </tr>
+              )
+            })
+          })}
+        </tbody>
+      </table>
+    </div>
+  )
+}
+
+function GuidedMatchPrompt({ entry, lettersPool, lettersBracket, results, onSubmit, matchIdx, total, slot }){
+  const [error, setError] = useState('')
   const resolved = resolveTeamsForEntry(entry, lettersPool, lettersBracket, results)
   const label = entry.label || (entry.phase==='pool' ? `Pool` : 'Bracket')
+
+  const submit = (e) => {
+    e.preventDefault()
+    const a = e.target.s1.value, b = e.target.s2.value
+    const err = validateScore(a, b, entry)
+    if (err) return setError(err)
+    setError('')
+    onSubmit(+a, +b)
+  }
+
   return (
-    <form onSubmit={onSubmit} className="card" style={{marginTop:12}}>
+    <form onSubmit={submit} className="card" style={{marginTop:12}}>
       <div className="row" style={{justifyContent:'space-between'}}>
-        <strong>Match {matchIdx+1} of {total} — {label}</strong>
-        <span className="muted">{entry.phase==='pool' ? 'to 11, win by 1' : 'to 15, win by 2'}</span>
+        <strong>Match {matchIdx+1} of {total} — {label}{slot ? ` · Round ${slot.round}, Court ${slot.court}` : ''}</strong>
+        <span className="muted">{describeFormat(entry)}</span>
       </div>
       <div className="row" style={{gap:8, flexWrap:'wrap', marginTop:8}}>
         <strong>{resolved?.team1?.join(' & ')} </strong>
@@ -727,16 +3196,19 @@ function GuidedMatchPrompt({ entry, lettersPool, lettersBracket, results, onSubm
         <input name="s2" type="number" min="0" placeholder="Team 2 score" required />
         <button className="btn primary" type="submit">Submit Score</button>
       </div>
+      {error && <p className="error" style={{margin:'8px 0 0'}}>{error}</p>}
     </form>
   )
 }
 
-function ManualPlacements({ names, size, onAdd }){
+function ManualPlacements({ names, size, formats=DEFAULT_SEASON_FORMATS, onAdd }){
   const [p1, setP1] = useState('')
   const [p2, setP2] = useState('')
   const [p3, setP3] = useState('')
   const [p4, setP4] = useState('')
   const [games, setGames] = useState([])
+  const [formError, setFormError] = useState('')
+  const scoreErrors = games.map(g=> validateScore(g.s1, g.s2, GAME_FORMATS[g.format]))
 
   return (
     <div className="grid" style={{gap:16}}>
@@ -762,7 +3234,7 @@ function ManualPlacements({ names, size, onAdd }){
 
       <div>
         <div className="muted">Optional: enter game scores to accumulate Wins/Losses & PF/PA</div>
-        <button type="button" className="btn" onClick={()=>setGames(g=>[...g, { team1:["",""], team2:["",""], s1:11, s2:8, stage:'manual', label:'' }])}>Add Game</button>
+        <button type="button" className="btn" onClick={()=>setGames(g=>[...g, { team1:["",""], team2:["",""], s1:11, s2:8, stage:'manual', label:'', format: formats.pool }])}>Add Game</button>
       </div>
 
       {games.map((g,idx)=> (
@@ -773,12 +3245,19 @@ function ManualPlacements({ names, size, onAdd }){
           <input list="rosterlist" value={g.team2?.[1]||''} onChange={e=>setGames(arr=>arr.map((row,i)=> i===idx? { ...row, team2:[row.team2?.[0]||'', e.target.value] } : row))} placeholder="Team2 P2" />
           <input type="number" min="0" value={g.s1} onChange={e=>setGames(arr=>arr.map((row,i)=> i===idx? { ...row, s1:+e.target.value } : row))} />
           <input type="number" min="0" value={g.s2} onChange={e=>setGames(arr=>arr.map((row,i)=> i===idx? { ...row, s2:+e.target.value } : row))} />
+          <select value={g.format} onChange={e=>setGames(arr=>arr.map((row,i)=> i===idx? { ...row, format:e.target.value } : row))} style={{gridColumn:'span 3'}}>
+            {Object.entries(GAME_FORMATS).map(([k,f])=> <option key={k} value={k}>{f.label} ({describeFormat(f)})</option>)}
+          </select>
+          {scoreErrors[idx] && <span className="error" style={{gridColumn:'span 12'}}>Game {idx+1}: {scoreErrors[idx]}</span>}
         </div>
       ))}
 
+      {formError && <p className="error" style={{margin:0}}>{formError}</p>}
       <button className="btn primary" onClick={(e)=>{
         e.preventDefault()
-        if (!p1||!p2||!p3||!p4) return alert('Please fill 1st and 2nd pairs (two players each).')
+        if (!p1||!p2||!p3||!p4) return setFormError('Please fill 1st and 2nd pairs (two players each).')
+        if (scoreErrors.some(Boolean)) return setFormError('Fix the game scores marked above first.')
+        setFormError('')
         const placements = { 1:[p1,p2], 2:[p3,p4] }
         onAdd({ size, placements, gameStats: games })
       }}>Add Event to Standings</button>
@@ -786,7 +3265,101 @@ function ManualPlacements({ names, size, onAdd }){
   )
 }
 
-function HistoryView({ events, onDelete }){
+function ActionLog({ actions, events, undone, deviceName, onDeviceName, onRestore }){
+  const trash = useMemo(()=> trashFromLog(actions, events), [actions, events])
+  const [open, setOpen] = useState(null) // action id showing its details
+  const undoneSet = new Set(undone)
+  const team = t => (t||[]).join(' & ')
+  const eventLine = (ev) => `${new Date(ev.id).toLocaleDateString()} · ${ev.size} players · 1st ${team(ev.placements?.[1]) || '—'}`
+
+  return (
+    <section className="card" style={{display:'grid', gap:12}}>
+      <h2 style={{marginTop:0}}>Change Log</h2>
+      <label style={{display:'inline-flex', gap:6, alignItems:'center'}}>
+        This device signs changes as
+        <input value={deviceName} onChange={e=>onDeviceName(e.target.value)} style={{width:200}} />
+      </label>
+
+      <div className="card">
+        <strong>Trash</strong>
+        {!trash.length && <p className="muted">No deleted events.</p>}
+        {trash.length>0 && (
+          <table style={{marginTop:8}}>
+            <thead>
+              <tr><th>Event</th><th>Removed</th><th>By</th><th></th></tr>
+            </thead>
+            <tbody>
+              {trash.map(r=> (
+                <tr key={r.event.id}>
+                  <td>{eventLine(r.event)}</td>
+                  <td>{new Date(r.at).toLocaleString()} ({r.type})</td>
+                  <td>{r.by}</td>
+                  <td><button className="btn" onClick={()=>onRestore(r.event)}>Restore</button></td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      <div className="card">
+        <strong>Audit trail</strong>
+        <p className="muted" style={{margin:'4px 0 0'}}>Player renames and merges rewrite every season and the player list, so Undo stops at them. Rename a player back to reverse a rename; a merge is permanent.
+          The log keeps the latest {MAX_ACTIONS} changes; older ones, and the deleted events only they remember, are dropped.</p>
+        {!actions.length && <p className="muted">No changes recorded for this season yet.</p>}
+        {actions.length>0 && (
+          <table style={{marginTop:8}}>
+            <thead>
+              <tr><th>When</th><th>By</th><th>Action</th><th>What</th><th></th></tr>
+            </thead>
+            <tbody>
+              {[...actions].reverse().map(a=> (
+                <React.Fragment key={a.id}>
+                  <tr>
+                    <td>{new Date(a.at).toLocaleString()}</td>
+                    <td>{a.by}</td>
+                    <td>{a.type}{undoneSet.has(a.id) && <span className="badge">undone</span>}</td>
+                    <td>{a.summary}</td>
+                    <td>
+                      {a.changes?.length>0 && (
+                        <button className="link" onClick={()=>setOpen(open===a.id ? null : a.id)}>
+                          {open===a.id ? 'Hide' : `${a.changes.length} event${a.changes.length===1 ? '' : 's'}`}
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                  {open===a.id && (
+                    <tr>
+                      <td colSpan={5}>
+                        <ul className="muted" style={{margin:0}}>
+                          {a.changes.map(c=> (
+                            <li key={c.id}>
+                              {!c.before && <>Added: {eventLine(c.after)}</>}
+                              {!c.after && <>Removed: {eventLine(c.before)}</>}
+                              {c.before && c.after && <>{eventLine(c.after)}: {describeEventChanges(c.before, c.after).join('; ') || 'pool audit or seeding details only'}</>}
+                            </li>
+                          ))}
+                        </ul>
+                      </td>
+                    </tr>
+                  )}
+                </React.Fragment>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </section>
+  )
+}
+
+function HistoryView({ events, onDelete, onEdit, ruleSets, formats, closed }){
+  const [editingId, setEditingId] = useState(null)
+  const editing = events.find(e => e.id===editingId)
+  const [bracketId, setBracketId] = useState(null)
+  const bracketEvent = events.find(e => e.id===bracketId)
+  const hasBracket = (ev) => (ev.gameStats||[]).some(g=> g.stage==='bracket' || g.stage==='bracket-derivative')
+
   return (
     <section className="card">
       <h2 style={{marginTop:0}}>Event History</h2>
@@ -795,13 +3368,14 @@ function HistoryView({ events, onDelete }){
         <>
           <table>
             <thead>
-              <tr><th>#</th><th>Size</th><th>Placements</th><th>Actions</th></tr>
+              <tr><th>#</th><th>Size</th><th>Rules</th><th>Placements</th><th>Actions</th></tr>
             </thead>
             <tbody>
               {events.map((ev, idx)=>(
                 <tr key={ev.id}>
                   <td>{idx+1}</td>
                   <td>{ev.size}</td>
+                  <td>v{ev.rulesVersion ?? 1}</td>
                   <td>
                     {Object.entries(ev.placements).map(([place, arr])=> (
                       <span key={place} style={{marginRight:8}}>
@@ -810,17 +3384,72 @@ function HistoryView({ events, onDelete }){
                     ))}
                   </td>
                   <td>
-                    <button className="btn" onClick={()=>onDelete(ev.id)}>Delete</button>
+                    <div className="row" style={{gap:8}}>
+                      <button className="btn" disabled={!hasBracket(ev)} onClick={()=>setBracketId(bracketId===ev.id ? null : ev.id)}>Bracket</button>
+                      <button className="btn" disabled={closed} onClick={()=>setEditingId(ev.id)}>Edit</button>
+                      <button className="btn" disabled={closed} onClick={()=>onDelete(ev.id)}>Delete</button>
+                    </div>
                   </td>
                 </tr>
               ))}
             </tbody>
           </table>
 
+          {bracketEvent && (
+            <div className="card" style={{marginTop:12}}>
+              <div className="row" style={{justifyContent:'space-between'}}>
+                <strong>Event {events.indexOf(bracketEvent)+1} — Bracket</strong>
+                <button className="btn" onClick={()=>setBracketId(null)}>Close</button>
+              </div>
+              <BracketTree
+                size={bracketEvent.size}
+                lettersBracket={lettersFromAudit(bracketEvent.poolAudit)}
+                games={bracketEvent.gameStats.filter(g=> g.stage!=='pool')}
+              />
+            </div>
+          )}
+
+          {editing && (
+            <EventEditor
+              key={editing.id}
+              event={editing}
+              index={events.indexOf(editing)}
+              pointsTable={pointsTableFor(ruleSets, editing.rulesVersion)}
+              formats={formats}
+              onCancel={()=>setEditingId(null)}
+              onSave={(changes)=>{ onEdit(editing.id, changes); setEditingId(null) }}
+            />
+          )}
+
+          {/* Edit history per event: each revision diffed against the version that replaced it */}
+          {events.filter(ev=> ev.revisions?.length).map(ev=> (
+            <div key={`rev-${ev.id}`} className="card" style={{marginTop:12}}>
+              <strong>Event {events.indexOf(ev)+1} — Edit History</strong>
+              <ul className="muted" style={{marginTop:8}}>
+                {ev.revisions.map((rev, i)=> {
+                  const { revisions, ...current } = ev
+                  const after = ev.revisions[i+1]?.before || current
+                  const changes = describeEventChanges(rev.before, after)
+                  return (
+                    <li key={i}>
+                      {new Date(rev.editedAt).toLocaleString()}: {changes.length ? changes.join('; ') : 'no changes'}
+                    </li>
+                  )
+                })}
+              </ul>
+            </div>
+          ))}
+
           {/* Pool standings snapshot per event */}
           {events.map((ev, idx)=> (
             <div key={`pool-${ev.id}`} className="card" style={{marginTop:12}}>
               <strong>Event {idx+1} — Pool Standings</strong>
+              {ev.seeding && (
+                <p className="muted" style={{margin:'4px 0 0'}}>
+                  {ev.seeding.method==='csv' ? 'Imported from CSV, tie-draw' : `Pool letters: ${ev.seeding.method} seeding,`} seed {ev.seeding.seed}{ev.seeding.reordered ? ' (reordered by hand)' : ''}
+                  {ev.seeding.letters && ` — ${Object.entries(ev.seeding.letters).map(([k,v])=> `${k}=${v}`).join(', ')}`}
+                </p>
+              )}
               {!ev.poolAudit?.rows?.length && <p className="muted">(No pool standings recorded)</p>}
               {!!ev.poolAudit?.rows?.length && (
                 <>
@@ -885,90 +3514,871 @@ function HistoryView({ events, onDelete }){
   )
 }
 
-function DataPanel({ setEvents }){
-  /** Export the authoritative ledger */
+function EventEditor({ event, index, pointsTable, formats, onSave, onCancel }){
+  const [size, setSize] = useState(event.size)
+  const [games, setGames] = useState(()=> (event.gameStats||[]).map(g=> ({ ...g, team1:[...(g.team1||[])], team2:[...(g.team2||[])] })))
+  const [placements, setPlacements] = useState(()=> Object.fromEntries(
+    Object.entries(event.placements||{}).map(([k,v])=> [k, (v||[]).join(', ')])
+  ))
+  const [rederive, setRederive] = useState(true)
+  const [formError, setFormError] = useState('')
+
+  // A blank score is a missing score, not a 0
+  const scoreProblems = games.map(g=> String(g.s1??'').trim()==='' || String(g.s2??'').trim()===''
+    ? 'Enter both scores'
+    : validateScore(g.s1, g.s2, loggedGameFormat(g, formats)))
+  // Only games changed here block the save: older games may predate stored formats,
+  // so a problem in an untouched one is shown as a warning
+  const touched = games.map((g, i)=> {
+    const was = event.gameStats?.[i]
+    return !was || String(g.s1)!==String(was.s1) || String(g.s2)!==String(was.s2)
+      || g.team1.join()!==(was.team1||[]).join() || g.team2.join()!==(was.team2||[]).join()
+  })
+  const scoreErrors = scoreProblems.map((p, i)=> touched[i] ? p : null)
+
+  const places = useMemo(()=>{
+    const keys = new Set([...Object.keys(pointsTable[size]?.awards||{}), ...Object.keys(placements)])
+    return [...keys].sort((a,b)=> a-b)
+  }, [size, placements, pointsTable])
+
+  const canDerive = games.some(g=> g.label==='Final' && (g.stage==='bracket' || g.stage==='bracket-derivative'))
+
+  const updateGame = (idx, patch) => setGames(arr => arr.map((g,i)=> i===idx ? { ...g, ...patch } : g))
+  const updateTeam = (idx, side, slot, value) => setGames(arr => arr.map((g,i)=> {
+    if (i!==idx) return g
+    const t = [...g[side]]; t[slot] = value
+    return { ...g, [side]: t }
+  }))
+
+  const save = (e) => {
+    e.preventDefault()
+    if (scoreErrors.some(Boolean)) return setFormError('Fix the game scores marked above first.')
+    const gameStats = games.map(g=> ({
+      ...g,
+      team1: g.team1.map(n=> n.trim()),
+      team2: g.team2.map(n=> n.trim()),
+      s1: +g.s1, s2: +g.s2,
+    })).map(g=> ('winner' in g) ? withOutcome(g) : g)
+
+    // Pool standings follow the corrected pool scores
+    const poolGames = gameStats.filter(g=> g.stage==='pool')
+    const poolAudit = poolGames.length ? computePoolStats(poolGames, poolDrawRng(eventDrawSeed(event))) : event.poolAudit
+
+    const typed = {}
+    Object.entries(placements).forEach(([place, str])=>{
+      const arr = String(str||'').split(',').map(x=>x.trim()).filter(Boolean)
+      if (arr.length) typed[place] = arr
+    })
+    // Only trust the bracket when it decides every place the size needs; otherwise keep what was typed
+    const derived = canDerive && rederive ? derivePlacementsFromGames(size, gameStats, poolAudit) : null
+    if (derived && !placementsComplete(size, derived) && !placementsComplete(size, typed)){
+      return setFormError(`The bracket games don't decide places ${requiredPlaces(size).join(', ')} for ${size} players — untick re-derive and enter the placements.`)
+    }
+    if (!Object.keys(typed).length && !derived) return setFormError('Enter at least one placement.')
+    setFormError('')
+
+    const changes = { size, gameStats, placements: placementsComplete(size, derived) ? derived : typed }
+    if (poolAudit) changes.poolAudit = poolAudit
+    onSave(changes)
+  }
+
+  return (
+    <form onSubmit={save} className="card" style={{marginTop:12, display:'grid', gap:12}}>
+      <strong>Edit Event {index+1}</strong>
+
+      <div>
+        <label>Event Size</label>
+        <select value={size} onChange={e=>setSize(+e.target.value)}>
+          {Object.keys(pointsTable).map(n=> <option key={n} value={n}>{n} players ({pointsTable[n].label})</option>)}
+        </select>
+      </div>
+
+      {!!games.length && (
+        <table style={{width:'100%'}}>
+          <thead>
+            <tr><th>#</th><th>Label</th><th>Team 1</th><th>Team 2</th><th>Score</th></tr>
+          </thead>
+          <tbody>
+            {games.map((g,i)=> (
+              <tr key={i}>
+                <td>{i+1}</td>
+                <td>{g.label || g.stage || ''}</td>
+                <td>
+                  <input value={g.team1[0]||''} onChange={e=>updateTeam(i, 'team1', 0, e.target.value)} />
+                  <input value={g.team1[1]||''} onChange={e=>updateTeam(i, 'team1', 1, e.target.value)} />
+                </td>
+                <td>
+                  <input value={g.team2[0]||''} onChange={e=>updateTeam(i, 'team2', 0, e.target.value)} />
+                  <input value={g.team2[1]||''} onChange={e=>updateTeam(i, 'team2', 1, e.target.value)} />
+                </td>
+                <td>
+                  <input type="number" min="0" value={g.s1} onChange={e=>updateGame(i, { s1:e.target.value })} style={{width:64}} />
+                  <input type="number" min="0" value={g.s2} onChange={e=>updateGame(i, { s2:e.target.value })} style={{width:64}} />
+                  {scoreErrors[i] && <div className="error">{scoreErrors[i]}</div>}
+                  {!scoreErrors[i] && scoreProblems[i] && <div className="muted" title="Unchanged game; not blocking the save">{scoreProblems[i]}</div>}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {canDerive && (
+        <label className="row" style={{gap:6}}>
+          <input type="checkbox" checked={rederive} onChange={e=>setRederive(e.target.checked)} /> Re-derive placements from bracket games
+        </label>
+      )}
+
+      {(!canDerive || !rederive) && (
+        <div className="row" style={{gap:8, flexWrap:'wrap'}}>
+          {places.map(place=> (
+            <div key={place}>
+              <label>Place {place} (comma-separated)</label>
+              <input value={placements[place]||''} onChange={e=>setPlacements(p=> ({ ...p, [place]: e.target.value }))} />
+            </div>
+          ))}
+        </div>
+      )}
+
+      {formError && <p className="error" style={{margin:0}}>{formError}</p>}
+      <div className="row" style={{gap:8}}>
+        <button className="btn primary" type="submit">Save Changes</button>
+        <button className="btn" type="button" onClick={onCancel}>Cancel</button>
+      </div>
+      <p className="muted" style={{margin:0}}>Saving keeps the previous version in this event's edit history and recomputes the standings from the ledger.</p>
+    </form>
+  )
+}
+
+function PointsSettings({ ruleSets, events, onSave, onRescore }){
+  const active = latestRules(ruleSets)
+  const [draft, setDraft] = useState(()=> JSON.parse(JSON.stringify(active.table)))
+  useEffect(()=>{ setDraft(JSON.parse(JSON.stringify(active.table))) }, [active.version])
+
+  const dirty = JSON.stringify(draft) !== JSON.stringify(active.table)
+  const usage = (version) => events.filter(ev => (ev.rulesVersion ?? 1)===version).length
+
+  const setLabel = (size, label) => setDraft(d => ({ ...d, [size]: { ...d[size], label } }))
+  const setAward = (size, place, value) => setDraft(d => {
+    const awards = { ...d[size].awards }
+    if (value==='' || +value===0) delete awards[place]; else awards[place] = +value
+    return { ...d, [size]: { ...d[size], awards } }
+  })
+
+  return (
+    <section className="card" style={{display:'grid', gap:12}}>
+      <h2 style={{marginTop:0}}>Points Table — rules v{active.version}</h2>
+      <div style={{overflowX:'auto'}}>
+        <table>
+          <thead>
+            <tr><th>Size</th><th>Label</th><th>Awards by place</th></tr>
+          </thead>
+          <tbody>
+            {Object.keys(draft).map(size=> (
+              <tr key={size}>
+                <td>{size}</td>
+                <td>
+                  <select value={draft[size].label} onChange={e=>setLabel(size, e.target.value)}>
+                    {TIER_LABELS.map(l=> <option key={l} value={l}>{l}</option>)}
+                  </select>
+                </td>
+                <td>
+                  <div className="row" style={{gap:6, flexWrap:'wrap'}}>
+                    {Array.from({ length:+size }, (_, i)=> i+1).map(place=> (
+                      <label key={place} style={{display:'inline-flex', gap:4, alignItems:'center'}}>
+                        {place}:
+                        <input type="number" min="0" style={{width:72}} value={draft[size].awards[place] ?? ''} onChange={e=>setAward(size, place, e.target.value)} />
+                      </label>
+                    ))}
+                  </div>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <div className="row" style={{gap:8, flexWrap:'wrap'}}>
+        <button className="btn primary" disabled={!dirty} onClick={()=>onSave(draft)}>Save as rules v{active.version + 1}</button>
+        <button className="btn" disabled={!dirty} onClick={()=>setDraft(JSON.parse(JSON.stringify(active.table)))}>Discard changes</button>
+      </div>
+
+      <div>
+        <strong>Rule versions</strong>
+        <ul className="muted" style={{marginTop:8}}>
+          {ruleSets.map(r=> (
+            <li key={r.version}>v{r.version} — {r.createdAt ? new Date(r.createdAt).toLocaleDateString() : 'default'} — {usage(r.version)} event{usage(r.version)===1 ? '' : 's'}</li>
+          ))}
+        </ul>
+        <button className="btn" disabled={!events.length || usage(active.version)===events.length} onClick={onRescore}>Re-score season with v{active.version}</button>
+      </div>
+      <p className="muted">New events are scored with the latest rules. Existing events keep the awards they were played under until the season is explicitly re-scored.</p>
+    </section>
+  )
+}
+
+function CountingSettings({ rules, events, onSave }){
+  const [bestOf, setBestOf] = useState(rules.bestOf ?? '')
+  const [minEvents, setMinEvents] = useState(rules.minEvents || '')
+  useEffect(()=>{ setBestOf(rules.bestOf ?? ''); setMinEvents(rules.minEvents || '') }, [rules])
+
+  const draft = { bestOf: +bestOf > 0 ? Math.floor(+bestOf) : null, minEvents: +minEvents > 0 ? Math.floor(+minEvents) : 0 }
+  const dirty = draft.bestOf !== rules.bestOf || draft.minEvents !== rules.minEvents
+
+  return (
+    <section className="card" style={{display:'grid', gap:12}}>
+      <h2 style={{marginTop:0}}>Counting Rules</h2>
+      <div className="row" style={{gap:16, flexWrap:'wrap'}}>
+        <label style={{display:'inline-flex', gap:6, alignItems:'center'}}>
+          Count best
+          <input type="number" min="1" style={{width:72}} placeholder="all" value={bestOf} onChange={e=>setBestOf(e.target.value)} />
+          event results
+        </label>
+        <label style={{display:'inline-flex', gap:6, alignItems:'center'}}>
+          Minimum events for awards
+          <input type="number" min="0" style={{width:72}} placeholder="0" value={minEvents} onChange={e=>setMinEvents(e.target.value)} />
+        </label>
+      </div>
+      <div className="row" style={{gap:8, flexWrap:'wrap'}}>
+        <button className="btn primary" disabled={!dirty} onClick={()=>onSave(draft)}>Save counting rules</button>
+      </div>
+      <p className="muted" style={{margin:0}}>
+        {draft.bestOf
+          ? `Each player's ${draft.bestOf} best event results count toward Points; the rest are dropped but still shown in Total.`
+          : 'Every event result counts.'}
+        {' '}{events} event{events===1 ? '' : 's'} played so far. Titles, wins and game stats always include every event.
+      </p>
+    </section>
+  )
+}
+
+function FormatSettings({ formats, onSave }){
+  const choice = (phase, keys) => (
+    <label style={{display:'grid', gap:4}}>
+      {phase==='pool' ? 'Pool games' : 'Bracket games'}
+      <select value={formats[phase]} onChange={e=>onSave({ ...formats, [phase]: e.target.value })}>
+        {keys.map(k=> <option key={k} value={k}>{GAME_FORMATS[k].label} — {describeFormat(GAME_FORMATS[k])}</option>)}
+      </select>
+    </label>
+  )
+  return (
+    <section className="card" style={{display:'grid', gap:12}}>
+      <h2 style={{marginTop:0}}>Game Formats</h2>
+      <div className="row" style={{gap:16, flexWrap:'wrap'}}>
+        {choice('pool', POOL_FORMAT_CHOICES)}
+        {choice('bracket', BRACKET_FORMAT_CHOICES)}
+      </div>
+      <p className="muted" style={{margin:0}}>Used by guided matchdays started from now on; every scheduled game is scored and validated against its format. A matchday in progress keeps the formats it started with.</p>
+    </section>
+  )
+}
+
+function TiebreakSettings({ chain, onSave }){
+  const [draft, setDraft] = useState(chain)
+  useEffect(()=>{ setDraft(chain) }, [chain])
+
+  const dirty = draft.join() !== chain.join()
+  const unused = Object.keys(SEASON_TIEBREAKERS).filter(k=> !draft.includes(k))
+  const move = (i, d) => setDraft(c => {
+    const next = [...c]
+    ;[next[i], next[i+d]] = [next[i+d], next[i]]
+    return next
+  })
+
+  return (
+    <section className="card" style={{display:'grid', gap:12}}>
+      <h2 style={{marginTop:0}}>Season Tiebreakers</h2>
+      <p className="muted" style={{margin:0}}>Players level on Points are separated by these, top to bottom. Anyone still level is ordered by name.</p>
+      <ol style={{margin:0, paddingLeft:20, display:'grid', gap:6}}>
+        {draft.map((k, i)=> (
+          <li key={k}>
+            <div className="row" style={{gap:6, alignItems:'center'}}>
+              <span style={{flex:1}}>{SEASON_TIEBREAKERS[k]?.label || k}</span>
+              <button className="btn" disabled={i===0} onClick={()=>move(i, -1)}>↑</button>
+              <button className="btn" disabled={i===draft.length-1} onClick={()=>move(i, 1)}>↓</button>
+              <button className="btn" onClick={()=>setDraft(c=> c.filter(x=> x!==k))}>Disable</button>
+            </div>
+          </li>
+        ))}
+      </ol>
+      {unused.length>0 && (
+        <div className="row" style={{gap:6, flexWrap:'wrap', alignItems:'center'}}>
+          <span className="muted">Add:</span>
+          {unused.map(k=> <button key={k} className="btn" onClick={()=>setDraft(c=> [...c, k])}>{SEASON_TIEBREAKERS[k].label}</button>)}
+        </div>
+      )}
+      <div className="row" style={{gap:8, flexWrap:'wrap'}}>
+        <button className="btn primary" disabled={!dirty} onClick={()=>onSave(draft)}>Save tiebreakers</button>
+        <button className="btn" disabled={!dirty} onClick={()=>setDraft(chain)}>Discard changes</button>
+        <button className="btn" disabled={draft.join()===DEFAULT_SEASON_TIEBREAKERS.join()} onClick={()=>setDraft(DEFAULT_SEASON_TIEBREAKERS)}>Reset to default</button>
+      </div>
+    </section>
+  )
+}
+
+function PlayersPanel({ players, onRename, onMerge, onSetAliases }){
+  const [mergeFrom, setMergeFrom] = useState('')
+  const [mergeInto, setMergeInto] = useState('')
+  const sorted = useMemo(()=> [...players].sort((a,b)=> a.name.localeCompare(b.name)), [players])
+
+  // Likely duplicates: names that differ only by case/spacing or are one typo apart
+  const dupes = useMemo(()=> sorted.flatMap((p, i)=> sorted.slice(i+1)
+    .filter(q=> levenshtein(normName(p.name), normName(q.name)) <= 1)
+    .map(q=> [p, q])), [sorted])
+
+  return (
+    <section className="card" style={{display:'grid', gap:12}}>
+      <h2 style={{marginTop:0}}>Players</h2>
+
+      {dupes.length>0 && (
+        <div className="card">
+          <strong>Possible duplicates</strong>
+          <ul style={{marginTop:8}}>
+            {dupes.map(([p,q])=> (
+              <li key={p.id+q.id}>
+                {p.name} / {q.name}{' '}
+                <button className="btn" style={{padding:'2px 8px'}} onClick={()=>onMerge(q.id, p.id)}>Merge into {p.name}</button>{' '}
+                <button className="btn" style={{padding:'2px 8px'}} onClick={()=>onMerge(p.id, q.id)}>Merge into {q.name}</button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <div className="row" style={{gap:8, flexWrap:'wrap', alignItems:'flex-end'}}>
+        <div>
+          <label>Merge player</label>
+          <select value={mergeFrom} onChange={e=>setMergeFrom(e.target.value)}>
+            <option value="">—</option>
+            {sorted.map(p=> <option key={p.id} value={p.id}>{p.name}</option>)}
+          </select>
+        </div>
+        <div>
+          <label>into</label>
+          <select value={mergeInto} onChange={e=>setMergeInto(e.target.value)}>
+            <option value="">—</option>
+            {sorted.filter(p=> p.id!==mergeFrom).map(p=> <option key={p.id} value={p.id}>{p.name}</option>)}
+          </select>
+        </div>
+        <button className="btn" disabled={!mergeFrom || !mergeInto} onClick={()=>{ onMerge(mergeFrom, mergeInto); setMergeFrom(''); setMergeInto('') }}>Merge</button>
+      </div>
+
+      <table>
+        <thead>
+          <tr><th>Player</th><th>Aliases (comma-separated)</th><th>Actions</th></tr>
+        </thead>
+        <tbody>
+          {sorted.map(p=> (
+            <tr key={p.id}>
+              <td>{p.name}</td>
+              <td>
+                <input
+                  key={p.aliases.join(',')}
+                  defaultValue={p.aliases.join(', ')}
+                  onBlur={e=> {
+                    const next = e.target.value.split(',').map(a=> a.trim()).filter(Boolean)
+                    if (next.join(',') !== p.aliases.join(',')) onSetAliases(p.id, next)
+                  }}
+                />
+              </td>
+              <td>
+                <button className="btn" onClick={()=>{
+                  const name = prompt(`Rename ${p.name} to`, p.name)
+                  if (name) onRename(p.id, name)
+                }}>Rename</button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <p className="muted">Renaming or merging rewrites placements, games and pool standings in every season's ledger. Old names are kept as aliases so roster entry still recognizes them.</p>
+    </section>
+  )
+}
+
+function CountMatrix({ title, letters, matrix }){
+  const max = Math.max(1, ...letters.flatMap(x=> letters.map(y=> matrix[x][y])))
+  return (
+    <div>
+      <strong>{title}</strong>
+      <table style={{marginTop:8, width:'auto'}}>
+        <thead>
+          <tr><th></th>{letters.map(l=> <th key={l}>{l}</th>)}</tr>
+        </thead>
+        <tbody>
+          {letters.map(x=> (
+            <tr key={x}>
+              <th>{x}</th>
+              {letters.map(y=> (
+                <td key={y} style={{textAlign:'center', background: x===y ? '#f3f4f6' : `rgba(90,50,163,${matrix[x][y]/max*0.6})`}}>
+                  {x===y ? '' : matrix[x][y]}
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  )
+}
+
+function ScheduleSummary({ pool, analysis }){
+  return (
+    <>
+      <p className="muted" style={{margin:'8px 0'}}>
+        {pool.map(g=> `${g.pair1.join('')} v ${g.pair2.join('')}`).join(' · ')}
+      </p>
+      <table style={{width:'auto'}}>
+        <thead>
+          <tr><th></th>{analysis.letters.map(l=> <th key={l}>{l}</th>)}</tr>
+        </thead>
+        <tbody>
+          <tr><th>Games</th>{analysis.letters.map(l=> <td key={l}>{analysis.played[l]}</td>)}</tr>
+          <tr><th>Sit-outs</th>{analysis.letters.map(l=> <td key={l}>{analysis.sitOuts[l]}</td>)}</tr>
+        </tbody>
+      </table>
+      {!analysis.flags.length && <p className="muted">No imbalances found.</p>}
+      {!!analysis.flags.length && (
+        <ul style={{marginTop:8}}>
+          {analysis.flags.map((f,i)=> <li key={i}>{f}</li>)}
+        </ul>
+      )}
+    </>
+  )
+}
+
+function ScheduleAnalyzer({ sizes }){
+  const [size, setSize] = useState(sizes.includes(6) ? 6 : sizes[0])
+  const pool = useMemo(()=> buildPoolSchedule(size), [size])
+  const analysis = useMemo(()=> analyzeSchedule(pool, size), [pool, size])
+  const suggestion = useMemo(()=> suggestFairerSchedule(pool, size), [pool, size])
+  const suggestionAnalysis = useMemo(()=> suggestion && analyzeSchedule(suggestion, size), [suggestion, size])
+
+  return (
+    <section className="card" style={{display:'grid', gap:12}}>
+      <h2 style={{marginTop:0}}>Pool Format Fairness</h2>
+      <div>
+        <label>Format</label>
+        <select value={size} onChange={e=>setSize(+e.target.value)}>
+          {sizes.map(n=> <option key={n} value={n}>{n} players</option>)}
+        </select>
+      </div>
+
+      <div className="card">
+        <strong>Current {size}-player pool — {pool.length} games</strong>
+        <ScheduleSummary pool={pool} analysis={analysis} />
+        <div className="row" style={{gap:24, flexWrap:'wrap', alignItems:'flex-start', marginTop:8}}>
+          <CountMatrix title="Partner counts" letters={analysis.letters} matrix={analysis.partner} />
+          <CountMatrix title="Opponent counts" letters={analysis.letters} matrix={analysis.opponent} />
+        </div>
+      </div>
+
+      {suggestion && (
+        <div className="card">
+          <strong>Suggested fairer letter assignment — {suggestion.length} games</strong>
+          <ScheduleSummary pool={suggestion} analysis={suggestionAnalysis} />
+          <div className="row" style={{gap:24, flexWrap:'wrap', alignItems:'flex-start', marginTop:8}}>
+            <CountMatrix title="Partner counts" letters={suggestionAnalysis.letters} matrix={suggestionAnalysis.partner} />
+            <CountMatrix title="Opponent counts" letters={suggestionAnalysis.letters} matrix={suggestionAnalysis.opponent} />
+          </div>
+        </div>
+      )}
+      {!suggestion && !!analysis.flags.length && (
+        <p className="muted">No fairer assignment with the same number of games was found.</p>
+      )}
+    </section>
+  )
+}
+
+function DataPanel({ seasonId, seasonName, rulesVersion, players, standings, ratings, events, ledger, rankLedger, formats, ruleSets, closed, onChangeEvents, onDraftImported }){
+  const slug = (seasonName || 'season').toLowerCase().replace(/[^a-z0-9]+/g, '-')
+
+  /** Export the authoritative ledger (current season) plus any unfinished matchday */
   const exportEvents = () => {
-    const data = localStorage.getItem(EVENTS_KEY) || '[]'
-    const blob = new Blob([data], { type:'application/json' })
-    const url = URL.createObjectURL(blob)
-    const a = document.createElement('a')
-    a.href = url
-    a.download = 'vcc-events-ledger.json'
-    a.click()
+    const draft = loadDraft()
+    const data = JSON.stringify({
+      schema: LEDGER_SCHEMA_VERSION,
+      events: loadEvents(seasonId),
+      draft: draft?.seasonId===seasonId ? draft : null,
+    })
+    downloadFile(`vcc-events-ledger-${slug}.json`, data, 'application/json')
+  }
+
+  /** Spreadsheet exports of the current season (names as shown in the standings) */
+  const sheets = () => [standingsSheet(standings, ratings), gamesSheet(events), placementsSheet(events, ruleSets)]
+  const exportSheet = (idx) => {
+    const sheet = sheets()[idx]
+    downloadFile(`vcc-${sheet.name.toLowerCase()}-${slug}.csv`, sheetCSV(sheet), 'text/csv')
   }
+  const exportWorkbook = () => downloadFile(`vcc-season-${slug}.xls`, workbookXML(sheets()), 'application/vnd.ms-excel')
+
+  /** Ledger import: migrated + validated into a preview, then applied as replace or merge */
+  const [incoming, setIncoming] = useState(null) // { fileName, version, events, draft, problems }
+  const [skipInvalid, setSkipInvalid] = useState(false)
 
-  /** Import the ledger and recompute */
   const importEvents = e => {
     const file = e.target.files?.[0]; if (!file) return
+    e.target.value = ''
     const reader = new FileReader()
     reader.onload = () => {
-      try {
-        const arr = JSON.parse(reader.result)
-        if (!Array.isArray(arr)) throw new Error('Invalid events JSON')
-        setEvents(arr)
-        alert('Events ledger imported')
-      } catch { alert('Invalid JSON') }
+      let data
+      try { data = JSON.parse(reader.result) } catch { return alert('Invalid JSON') }
+      const migrated = migrateLedger(data)
+      if (!migrated) return alert(Number.isInteger(data?.schema) && data.schema > LEDGER_SCHEMA_VERSION
+        ? `This backup uses ledger schema v${data.schema}; this app reads up to v${LEDGER_SCHEMA_VERSION}.`
+        : 'Not an events ledger backup')
+      setSkipInvalid(false)
+      setIncoming({ fileName: file.name, ...migrated, problems: validateLedger(migrated.events) })
     }
     reader.readAsText(file)
   }
 
-  /** CSV import (beta: 4p/8p) → converts to a single event and appends */
+  /** `takeDraft`: the backup's unfinished matchday replaces this device's (logged with the import so undo puts it back) */
+  const applyImport = (mode, takeDraft) => {
+    if (closed) return
+    const bad = new Set(incoming.problems.map(p=> p.idx))
+    const valid = incoming.events.filter((_, i)=> !bad.has(i))
+    const draft = takeDraft && incoming.draft ? { before: loadDraft(), after: { ...incoming.draft, seasonId, savedAt: Date.now() } } : undefined
+    onChangeEvents('import', `${mode==='merge' ? 'Merged' : 'Replaced ledger with'} ${valid.length} events from ${incoming.fileName}${draft ? ' with its unfinished matchday' : ''}`,
+      prev => mode==='merge' ? mergeLedgers(prev, valid).events : valid, draft)
+    if (draft){
+      restoreDraft(draft.after)
+      onDraftImported(draft.after)
+    }
+    alert(`${valid.length} event${valid.length===1 ? '' : 's'} ${mode==='merge' ? 'merged into' : 'now make up'} the ledger${draft ? ' (unfinished matchday imported too)' : ''}`)
+    setIncoming(null)
+  }
+
+  /** CSV import → parsed into a preview first; nothing is added until it is confirmed */
+  const [csv, setCsv] = useState(null) // { fileName, data, seed }
+  const [csvSize, setCsvSize] = useState('')  // '' = detect
+  const [allowNew, setAllowNew] = useState(false)
+  const preview = useMemo(()=> csv && parseEventCSV(csv.data, { size: +csvSize || null, players, allowNewPlayers: allowNew, seed: csv.seed, formats }), [csv, csvSize, players, allowNew, formats])
+
   const importCSV = e => {
     const file = e.target.files?.[0]; if (!file) return
+    e.target.value = ''
     Papa.parse(file, {
+      skipEmptyLines: true,
       complete: (results) => {
-        try {
-          const rows = results.data.filter(r => r && r.length >= 6)
-          if (!rows.length) return alert('CSV seems empty')
-          let size = 0; let games = []
-          if ((rows[0][0]||'').toUpperCase()==='EVENT') { size = parseInt(rows[0][3],10); games = rows.slice(1) } else { games = rows }
-          const gameStats = games.map(r => ({
-            team1:[String(r[0]).trim(), String(r[1]).trim()],
-            team2:[String(r[2]).trim(), String(r[3]).trim()],
-            s1:+r[4], s2:+r[5], stage:'', label:''
-          }))
-          let placements = {}
-          if (size===4) {
-            const f = gameStats[gameStats.length-1]
-            const champs  = f.s1>f.s2 ? f.team1 : f.team2
-            const runners = f.s1>f.s2 ? f.team2 : f.team1
-            placements = { 1: champs, 2: runners }
-          } else if (size===8) {
-            const last4 = gameStats.slice(-4)
-            const final = last4[last4.length-1]
-            const bronze = last4[last4.length-2]
-            const champs  = final.s1>final.s2 ? final.team1 : final.team2
-            const runners = final.s1>final.s2 ? final.team2 : final.team1
-            const third   = bronze.s1>bronze.s2 ? bronze.team1 : bronze.team2
-            const fourth  = bronze.s1>bronze.s2 ? bronze.team2 : bronze.team1
-            placements = { 1: champs, 2: runners, 3: third, 4: fourth }
-          } else {
-            return alert('CSV auto-placements supported for 4p/8p now. Use the Add Event form for 5/6/7.')
-          }
-          setEvents(prev => [...prev, { id: Date.now(), size, placements, gameStats }])
-          alert('CSV event imported')
-        } catch (e) {
-          console.error(e); alert('CSV parse failed')
-        }
-      }
+        if (!results.data.length) return alert('CSV seems empty')
+        setCsvSize('')
+        setCsv({ fileName: file.name, data: results.data, seed: newSeed() })
+      },
+      error: (err) => { console.error(err); alert('CSV parse failed') },
     })
   }
 
+  const commitCSV = () => {
+    if (closed || !preview || preview.errors.length) return
+    const { size, games, placements, poolAudit, seed } = preview
+    const gameStats = games.map(({ line, ...g })=> g)
+    onChangeEvents('import', `Imported ${size}-player event from ${csv.fileName}`,
+      prev => [...prev, { id: Date.now(), size, placements, gameStats, ...(poolAudit ? { poolAudit } : {}), seeding: { method:'csv', seed }, rulesVersion }])
+    setCsv(null)
+    alert('CSV event imported')
+  }
+
   return (
     <section className="card" style={{display:'grid', gap:12}}>
       <h2 style={{marginTop:0}}>Data & Backups</h2>
       <div className="row" style={{gap:12, flexWrap:'wrap'}}>
         <button className="btn" onClick={exportEvents}>Export Events Ledger (JSON)</button>
-        <label className="btn" style={{cursor:'pointer'}}>
-          Import Events Ledger (JSON)
-          <input type="file" accept="application/json" style={{display:'none'}} onChange={importEvents} />
+        {closed ? <span className="muted">Imports are off while this season is closed.</span> : (
+          <>
+            <label className="btn" style={{cursor:'pointer'}}>
+              Import Events Ledger (JSON)
+              <input type="file" accept="application/json" style={{display:'none'}} onChange={importEvents} />
+            </label>
+            <label className="btn" style={{cursor:'pointer'}}>
+              Import Event CSV (4–8 players)
+              <input type="file" accept=".csv" style={{display:'none'}} onChange={importCSV} />
+            </label>
+          </>
+        )}
+      </div>
+      {incoming && (
+        <LedgerImportPreview
+          incoming={incoming}
+          ledger={ledger}
+          rankLedger={rankLedger}
+          skipInvalid={skipInvalid}
+          onSkipInvalid={setSkipInvalid}
+          onApply={applyImport}
+          onCancel={()=>setIncoming(null)}
+        />
+      )}
+      {preview && (
+        <CsvImportPreview
+          fileName={csv.fileName}
+          preview={preview}
+          size={csvSize}
+          onSize={setCsvSize}
+          allowNew={allowNew}
+          onAllowNew={setAllowNew}
+          onCommit={commitCSV}
+          onCancel={()=>setCsv(null)}
+        />
+      )}
+      <div className="row" style={{gap:12, flexWrap:'wrap'}}>
+        <button className="btn" onClick={()=>exportSheet(0)}>Standings (CSV)</button>
+        <button className="btn" onClick={()=>exportSheet(1)}>All Games (CSV)</button>
+        <button className="btn" onClick={()=>exportSheet(2)}>Placements (CSV)</button>
+        <button className="btn" onClick={exportWorkbook}>Workbook (Excel, all three sheets)</button>
+      </div>
+      <p className="muted">Tip: back up the <strong>Events Ledger</strong> of each season. Standings are always recomputed from it. Ledger imports replace or merge into the season currently selected{seasonName ? ` (${seasonName})` : ''}, after a preview.</p>
+    </section>
+  )
+}
+
+function LedgerImportPreview({ incoming, ledger, rankLedger, skipInvalid, onSkipInvalid, onApply, onCancel }){
+  const { fileName, version, events, draft, problems } = incoming
+  const [mode, setMode] = useState(ledger.length ? 'merge' : 'replace')
+  const valid = useMemo(()=> {
+    const bad = new Set(problems.map(p=> p.idx))
+    return events.filter((_, i)=> !bad.has(i))
+  }, [incoming])
+  const merge = useMemo(()=> mergeLedgers(ledger, valid), [ledger, valid])
+  const after = mode==='merge' ? merge.events : valid
+  const diff = useMemo(()=> standingsDiff(rankLedger(ledger), rankLedger(after)), [ledger, after])
+  const blocked = !valid.length || (problems.length>0 && !skipInvalid)
+  // An unfinished matchday on this device is kept unless the user chooses the backup's
+  const localDraft = useMemo(()=> loadDraft(), [incoming])
+  const [takeDraft, setTakeDraft] = useState(()=> !loadDraft())
+
+  return (
+    <div className="card" style={{display:'grid', gap:12, border:'1px dashed #e5e7eb'}}>
+      <strong>Import preview — {fileName}</strong>
+      <div className="muted">
+        {events.length} event{events.length===1 ? '' : 's'} in a schema v{version} backup
+        {version < LEDGER_SCHEMA_VERSION ? ` (migrated to v${LEDGER_SCHEMA_VERSION})` : ''}
+        {draft ? ' · includes an unfinished matchday' : ''}
+      </div>
+
+      {problems.length>0 && (
+        <div>
+          <strong className="error">{problems.length} invalid event{problems.length===1 ? '' : 's'}</strong>
+          <ul className="error" style={{marginTop:6}}>
+            {problems.map(p=> <li key={p.idx}>Event {p.idx+1}{Number.isFinite(p.id) ? ` (${new Date(p.id).toLocaleDateString()})` : ''}: {p.errors.join('; ')}</li>)}
+          </ul>
+          <label className="row" style={{gap:6}}>
+            <input type="checkbox" checked={skipInvalid} onChange={e=>onSkipInvalid(e.target.checked)} /> Skip the invalid events and import the other {valid.length}
+          </label>
+        </div>
+      )}
+
+      <div className="row" style={{gap:16, flexWrap:'wrap'}}>
+        <label className="row" style={{gap:6}}>
+          <input type="radio" checked={mode==='merge'} onChange={()=>setMode('merge')} />
+          Merge — add {merge.added} new event{merge.added===1 ? '' : 's'}, skip {merge.duplicates} already in the ledger
         </label>
-        <label className="btn" style={{cursor:'pointer'}}>
-          Import Event CSV (beta: 4p/8p)
-          <input type="file" accept=".csv" style={{display:'none'}} onChange={importCSV} />
+        <label className="row" style={{gap:6}}>
+          <input type="radio" checked={mode==='replace'} onChange={()=>setMode('replace')} />
+          Replace — the ledger becomes these {valid.length} event{valid.length===1 ? '' : 's'} ({ledger.length} now)
         </label>
       </div>
-      <p className="muted">Tip: back up the <strong>Events Ledger</strong>. Standings are always recomputed from it.</p>
-    </section>
+      {draft && (
+        <div>
+          {localDraft && (
+            <p className="error" style={{margin:'0 0 6px'}}>
+              This device already has an unfinished matchday ({localDraft.size} players, {localDraft.games?.length || 0} match{localDraft.games?.length===1 ? '' : 'es'} logged
+              {localDraft.savedAt ? `, saved ${new Date(localDraft.savedAt).toLocaleString()}` : ''}). Importing the backup's would replace it.
+            </p>
+          )}
+          <label className="row" style={{gap:6}}>
+            <input type="checkbox" checked={takeDraft} onChange={e=>setTakeDraft(e.target.checked)} />
+            {localDraft ? `Replace it with the backup's unfinished matchday (${draft.size} players, ${draft.games?.length || 0} logged)` : `Also import the backup's unfinished matchday (${draft.size} players, ${draft.games?.length || 0} logged)`}
+          </label>
+        </div>
+      )}
+
+      {mode==='merge' && merge.conflicts.length>0 && (
+        <p className="muted" style={{margin:0}}>{merge.conflicts.length} event{merge.conflicts.length===1 ? '' : 's'} with a matching id differ from the ledger; the current version is kept.</p>
+      )}
+
+      <div>
+        <strong>Standings after import</strong>
+        {!diff.length && <p className="muted">No change to the standings.</p>}
+        {diff.length>0 && (
+          <table style={{marginTop:8}}>
+            <thead>
+              <tr><th>Player</th><th>Rank</th><th>Points</th></tr>
+            </thead>
+            <tbody>
+              {diff.map(d=> (
+                <tr key={d.Player}>
+                  <td>{d.Player}</td>
+                  <td>{d.before ? d.before.Rank : '—'} → {d.after ? d.after.Rank : '—'}</td>
+                  <td>{d.before ? d.before.Points : '—'} → {d.after ? d.after.Points : '—'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      <div className="row" style={{gap:8, flexWrap:'wrap'}}>
+        <button className="btn primary" disabled={blocked} onClick={()=>onApply(mode, takeDraft)}>{mode==='merge' ? 'Merge into ledger' : 'Replace ledger'}</button>
+        <button className="btn" onClick={onCancel}>Cancel</button>
+      </div>
+    </div>
+  )
+}
+
+function CsvImportPreview({ fileName, preview, size, onSize, allowNew, onAllowNew, onCommit, onCancel }){
+  const { games, placements, poolAudit, errors } = preview
+  const team = t => t.join(' & ')
+  const rowErrors = (line) => errors.filter(e=> e.row===line)
+
+  return (
+    <div className="card" style={{display:'grid', gap:12, border:'1px dashed #e5e7eb'}}>
+      <div className="row" style={{justifyContent:'space-between', flexWrap:'wrap', gap:8}}>
+        <strong>Preview — {fileName}</strong>
+        <div className="row" style={{gap:12, flexWrap:'wrap', alignItems:'center'}}>
+          <label style={{display:'inline-flex', gap:6, alignItems:'center'}}>
+            Size
+            <select value={size} onChange={e=>onSize(e.target.value)}>
+              <option value="">Detect ({preview.size})</option>
+              {[4,5,6,7,8].map(n=> <option key={n} value={n}>{n} players</option>)}
+            </select>
+          </label>
+          <label className="row" style={{gap:6}}>
+            <input type="checkbox" checked={allowNew} onChange={e=>onAllowNew(e.target.checked)} /> Allow new players
+          </label>
+        </div>
+      </div>
+
+      <div style={{overflowX:'auto'}}>
+        <table>
+          <thead>
+            <tr><th>Row</th><th>Stage</th><th>Label</th><th>Team 1</th><th>Score</th><th>Team 2</th><th>Problems</th></tr>
+          </thead>
+          <tbody>
+            {games.map(g=> (
+              <tr key={g.line}>
+                <td>{g.line}</td>
+                <td>{g.stage}</td>
+                <td>{g.label}</td>
+                <td>{team(g.team1)}</td>
+                <td>{g.s1}–{g.s2}</td>
+                <td>{team(g.team2)}</td>
+                <td className="error">{rowErrors(g.line).map(e=> e.message).join('; ')}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="row" style={{gap:16, flexWrap:'wrap', alignItems:'flex-start'}}>
+        <div>
+          <strong>Detected placements</strong>
+          <ul className="muted" style={{marginTop:8}}>
+            {Object.entries(placements).map(([place, names])=> <li key={place}>{ordinal(+place)}: {names.join(' & ')}</li>)}
+            {!Object.keys(placements).length && <li>(none)</li>}
+          </ul>
+        </div>
+        {poolAudit && (
+          <div>
+            <strong>Pool order (bracket seeds)</strong>
+            <ol className="muted" style={{marginTop:8}}>
+              {poolAudit.rows.map(r=> <li key={r.Player}>{r.Player} — {r.W}–{r.L}, {r.Diff>0 ? '+' : ''}{r.Diff}</li>)}
+            </ol>
+          </div>
+        )}
+      </div>
+
+      {errors.some(e=> e.row==null || !games.some(g=> g.line===e.row)) && (
+        <ul className="error" style={{margin:0}}>
+          {errors.filter(e=> e.row==null || !games.some(g=> g.line===e.row)).map((e, i)=> <li key={i}>{e.row ? `Row ${e.row}: ` : ''}{e.message}</li>)}
+        </ul>
+      )}
+
+      <div className="row" style={{gap:8, flexWrap:'wrap'}}>
+        <button className="btn primary" disabled={errors.length>0} onClick={onCommit}>Add event to season</button>
+        <button className="btn" onClick={onCancel}>Cancel</button>
+        {errors.length>0 && <span className="error">{errors.length} problem{errors.length===1 ? '' : 's'} to fix before importing</span>}
+      </div>
+    </div>
+  )
+}
+
+function PublishBar({ season, rows, events, ruleSets }){
+  const [link, setLink] = useState('')
+  const slug = (season || 'season').toLowerCase().replace(/[^a-z0-9]+/g, '-')
+
+  const downloadPage = () => {
+    downloadFile(`vcc-standings-${slug}.html`, snapshotHTML(buildSnapshot(season, rows, events, ruleSets)), 'text/html')
+  }
+  const copyLink = async () => {
+    const url = `${location.origin}${location.pathname}${PUBLISH_HASH}${encodeSnapshot(buildSnapshot(season, rows, events, ruleSets))}`
+    setLink(url)
+    try { await navigator.clipboard.writeText(url) } catch { /* the link stays visible to copy by hand */ }
+  }
+
+  return (
+    <div style={{marginBottom:12}}>
+      <div className="row" style={{gap:8, flexWrap:'wrap', justifyContent:'flex-end'}}>
+        <span className="muted">Publish a read-only copy:</span>
+        <button className="btn" disabled={!rows.length} onClick={downloadPage}>Download HTML</button>
+        <button className="btn" disabled={!rows.length} onClick={copyLink}>Copy Link</button>
+      </div>
+      {link && (
+        <p className="muted" style={{margin:'6px 0 0', wordBreak:'break-all'}}>
+          Link copied ({link.length} characters) — it holds the standings as of now and won’t update: <a href={link} target="_blank" rel="noreferrer">open</a>
+        </p>
+      )}
+    </div>
+  )
+}
+
+function PublishedStandings({ snapshot }){
+  const { season, updatedAt, standings, latest } = snapshot
+  const team = (t) => (t||[]).join(' & ')
+  return (
+    <div className="container">
+      <header>
+        <div>
+          <h1>Violet Crown Pickleball — {season}</h1>
+          <div className="muted">Last updated {new Date(updatedAt).toLocaleString()} · read-only snapshot</div>
+        </div>
+      </header>
+      <section className="card" style={{overflowX:'auto'}}>
+        <table>
+          <thead>
+            <tr><th>Rank</th><th>Player</th><th>Points</th><th>W–L</th><th>Point Diff</th></tr>
+          </thead>
+          <tbody>
+            {standings.map(([rank, name, pts, w, l, diff])=> (
+              <tr key={name}>
+                <td><strong>{rank}</strong></td>
+                <td>{name}</td>
+                <td>{pts}</td>
+                <td>{w}–{l}</td>
+                <td>{diff>0 ? '+' : ''}{diff}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </section>
+      {latest && (
+        <section className="card" style={{marginTop:16, overflowX:'auto'}}>
+          <h2 style={{marginTop:0}}>Latest event — {new Date(latest.date).toLocaleDateString()} · {latest.size} players{latest.tier ? ` (${latest.tier})` : ''}</h2>
+          <ul>
+            {latest.placements.map(([place, names])=> <li key={place}><strong>{ordinal(place)}:</strong> {team(names)}</li>)}
+          </ul>
+          {latest.games.length>0 && (
+            <table>
+              <thead>
+                <tr><th>Game</th><th>Team 1</th><th>Score</th><th>Team 2</th></tr>
+              </thead>
+              <tbody>
+                {latest.games.map(([label, t1, t2, s1, s2], i)=> (
+                  <tr key={i}><td>{label}</td><td>{team(t1)}</td><td>{s1}–{s2}</td><td>{team(t2)}</td></tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </section>
+      )}
+    </div>
   )
 }